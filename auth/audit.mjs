@@ -0,0 +1,50 @@
+import fs from "fs";
+import path from "path";
+
+// Who looked at what: every view of call data, sign-ins and account changes are
+// appended to auth/audit-log.jsonl (one JSON object per line):
+//   { at, user, role, action, callSid?, target?, ip }
+
+const LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(process.cwd(), "auth", "audit-log.jsonl");
+
+export function logAccess({ user, role, action, callSid, target, ip }) {
+  const line = {
+    at: new Date().toISOString(),
+    user: user || null,
+    role: role || null,
+    action,
+    ...(callSid ? { callSid } : {}),
+    ...(target ? { target } : {}),
+    ip: ip || null,
+  };
+  try {
+    fs.mkdirSync(path.dirname(LOG_PATH), { recursive: true });
+    fs.appendFileSync(LOG_PATH, JSON.stringify(line) + "\n");
+  } catch (e) {
+    console.error("Audit log write failed:", e?.message);
+  }
+  return line;
+}
+
+// Newest first. Filters: user, callSid, action; limit defaults to 200.
+export function listAccess({ user, callSid, action, limit = 200 } = {}) {
+  let raw = "";
+  try {
+    raw = fs.readFileSync(LOG_PATH, "utf8");
+  } catch (e) {
+    if (e?.code !== "ENOENT") throw e;
+  }
+  return raw
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => {
+      try {
+        return JSON.parse(l);
+      } catch {
+        return null;
+      }
+    })
+    .filter((e) => e && (!user || e.user === user) && (!callSid || e.callSid === callSid) && (!action || e.action === action))
+    .reverse()
+    .slice(0, Math.max(1, Number(limit) || 200));
+}
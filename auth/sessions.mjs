@@ -0,0 +1,68 @@
+import crypto from "crypto";
+
+// Login sessions: a random id in an HttpOnly cookie, mapped to a username in memory
+// (a restart signs everyone out). The role is looked up on every request, so role
+// changes apply at once.
+//
+//   SESSION_TTL_HOURS   idle time before a session ends (default 12)
+
+const COOKIE = "cavas_session";
+const TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+const sessions = new Map(); // id -> { username, createdAt, lastSeenAt }
+
+function expired(s, now) {
+  return now - s.lastSeenAt >= TTL_MS;
+}
+
+export function startSession(username) {
+  const now = Date.now();
+  if (sessions.size > 10000) {
+    for (const [id, s] of sessions) if (expired(s, now)) sessions.delete(id);
+  }
+  const id = crypto.randomBytes(32).toString("base64url");
+  sessions.set(id, { username, createdAt: now, lastSeenAt: now });
+  return id;
+}
+
+// -> username for a live session id (and extends it), or null
+export function sessionUser(id) {
+  const s = id && sessions.get(id);
+  if (!s) return null;
+  const now = Date.now();
+  if (expired(s, now)) {
+    sessions.delete(id);
+    return null;
+  }
+  s.lastSeenAt = now;
+  return s.username;
+}
+
+export function endSession(id) {
+  sessions.delete(id);
+}
+
+// After a password change, deactivation or removal
+export function endSessionsFor(username) {
+  for (const [id, s] of sessions) if (s.username === username) sessions.delete(id);
+}
+
+// A malformed cookie value counts as no session
+export function sessionIdFrom(req) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq <= 0 || part.slice(0, eq).trim() !== COOKIE) continue;
+    try {
+      return decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Set-Cookie value; an empty id clears the cookie
+export function sessionCookie(id, { secure } = {}) {
+  const maxAge = id ? Math.floor(TTL_MS / 1000) : 0;
+  return `${COOKIE}=${id || ""}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? "; Secure" : ""}`;
+}
@@ -0,0 +1,171 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Staff accounts for the admin pages and the call data routes. Each role includes the one below:
+//   viewer      call list, transcripts, summaries, live monitoring
+//   supervisor  + appointments, safety escalations, the doctor directory (read only)
+//   admin       + everything else: KB, directory edits, TTS, modes, blocklist, users, audit log
+//
+// Accounts live in auth/users.json:
+//   { "users": [{ "username", "name", "role", "active", "password": "scrypt$<salt>$<hash>", "createdAt", "updatedAt" }] }
+// While there are none, ADMIN_USER / ADMIN_PASSWORD create the first admin at startup.
+
+const USERS_PATH = process.env.USERS_PATH || path.join(process.cwd(), "auth", "users.json");
+const MIN_PASSWORD = 8;
+
+export const ROLES = ["viewer", "supervisor", "admin"];
+
+let cache = null; // { mtimeMs, users }
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function load() {
+  try {
+    const { mtimeMs } = fs.statSync(USERS_PATH);
+    if (cache?.mtimeMs === mtimeMs) return cache.users;
+    cache = { mtimeMs, users: JSON.parse(fs.readFileSync(USERS_PATH, "utf8")).users || [] };
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error("Users load failed:", e?.message);
+    if (!cache) cache = { mtimeMs: 0, users: [] };
+  }
+  return cache.users;
+}
+
+function save(users) {
+  fs.mkdirSync(path.dirname(USERS_PATH), { recursive: true });
+  const tmp = `${USERS_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, USERS_PATH);
+  cache = { mtimeMs: fs.statSync(USERS_PATH).mtimeMs, users };
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("base64url");
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, 64).toString("base64url")}`;
+}
+
+function passwordMatches(stored, password) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const want = Buffer.from(hash, "base64url");
+  const got = crypto.scryptSync(password, salt, want.length);
+  return crypto.timingSafeEqual(want, got);
+}
+
+// Hashed for unknown usernames too, so the response time does not tell which exist
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+function normalizeUsername(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw badRequest(`Unknown role: ${role} (${ROLES.join(", ")})`);
+  return role;
+}
+
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD) {
+    throw badRequest(`Password must be at least ${MIN_PASSWORD} characters`);
+  }
+  return password;
+}
+
+function publicUser({ password, ...user }) {
+  return user;
+}
+
+// True when role covers needed (admin covers supervisor covers viewer)
+export function hasRole(role, needed) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(needed) && ROLES.includes(needed);
+}
+
+export function listUsers() {
+  return load().map(publicUser);
+}
+
+// Active account or null
+export function getUser(username) {
+  const user = load().find((u) => u.username === normalizeUsername(username));
+  return user && user.active !== false ? publicUser(user) : null;
+}
+
+// -> the account for a correct username and password, otherwise null
+export function verifyLogin(username, password) {
+  const user = load().find((u) => u.username === normalizeUsername(username));
+  const ok = passwordMatches(user?.password || DUMMY_HASH, String(password || ""));
+  return ok && user.active !== false ? publicUser(user) : null;
+}
+
+function hasAdmin(users) {
+  return users.some((u) => u.role === "admin" && u.active !== false);
+}
+
+// The last active admin cannot be demoted, deactivated or removed
+function checkKeepsAdmin(before, after) {
+  if (hasAdmin(before) && !hasAdmin(after)) throw badRequest("At least one active admin must remain");
+}
+
+export function createUser({ username, name, role, password }) {
+  const id = normalizeUsername(username);
+  if (!/^[a-z0-9._@-]{2,64}$/.test(id)) throw badRequest("Username: 2-64 of a-z 0-9 . _ @ -");
+  const users = load();
+  if (users.some((u) => u.username === id)) throw badRequest(`User ${id} already exists`);
+  const now = new Date().toISOString();
+  const user = {
+    username: id,
+    name: String(name || "").trim() || id,
+    role: checkRole(role || "viewer"),
+    active: true,
+    password: hashPassword(checkPassword(password)),
+    createdAt: now,
+    updatedAt: now,
+  };
+  save([...users, user]);
+  return publicUser(user);
+}
+
+// Patch: name, role, active, password
+export function updateUser(username, patch = {}) {
+  const users = load();
+  const current = users.find((u) => u.username === normalizeUsername(username));
+  if (!current) throw notFound(`No user ${username}`);
+  const user = { ...current, updatedAt: new Date().toISOString() };
+  if (patch.name !== undefined) user.name = String(patch.name || "").trim() || user.username;
+  if (patch.role !== undefined) user.role = checkRole(patch.role);
+  if (patch.active !== undefined) user.active = patch.active !== false;
+  if (patch.password !== undefined) user.password = hashPassword(checkPassword(patch.password));
+  const next = users.map((u) => (u === current ? user : u));
+  checkKeepsAdmin(users, next);
+  save(next);
+  return publicUser(user);
+}
+
+export function removeUser(username) {
+  const users = load();
+  const id = normalizeUsername(username);
+  if (!users.some((u) => u.username === id)) throw notFound(`No user ${username}`);
+  const next = users.filter((u) => u.username !== id);
+  checkKeepsAdmin(users, next);
+  save(next);
+  return { username: id };
+}
+
+// First admin from ADMIN_USER / ADMIN_PASSWORD; does nothing once any account exists
+export function bootstrapAdmin() {
+  if (load().length || !process.env.ADMIN_USER || !process.env.ADMIN_PASSWORD) return null;
+  const user = createUser({ username: process.env.ADMIN_USER, role: "admin", password: process.env.ADMIN_PASSWORD });
+  console.log(`Created admin account ${user.username}`);
+  return user;
+}
@@ -0,0 +1,127 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { zonedParts } from "./clock.mjs";
+
+// Booked appointments, keyed by the APT-XXXXXX confirmation ID callers hear.
+// Stored in hospital/appointments.json; slot availability is derived from the
+// "booked" entries here, so a cancelled appointment frees its slot immediately.
+//
+//   { confirmationId, doctorId, doctorName, dept, patientName, phone, start, end,
+//     status: "booked" | "cancelled", callSid, createdAt, updatedAt?, cancelledAt?,
+//     rescheduledFrom?: [previous starts] }
+
+const APPOINTMENTS_PATH = process.env.HOSPITAL_APPOINTMENTS_PATH || path.join(process.cwd(), "hospital", "appointments.json");
+
+export const STATUSES = ["booked", "cancelled"];
+
+let cache = null; // { mtimeMs, appointments }
+
+function load() {
+  try {
+    const { mtimeMs } = fs.statSync(APPOINTMENTS_PATH);
+    if (cache?.mtimeMs === mtimeMs) return cache.appointments;
+    const data = JSON.parse(fs.readFileSync(APPOINTMENTS_PATH, "utf8"));
+    cache = { mtimeMs, appointments: data.appointments || [] };
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error("Appointments load failed:", e?.message);
+    if (!cache) cache = { mtimeMs: 0, appointments: [] };
+  }
+  return cache.appointments;
+}
+
+function save(appointments) {
+  const tmp = `${APPOINTMENTS_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ appointments }, null, 2));
+  fs.renameSync(tmp, APPOINTMENTS_PATH);
+  cache = { mtimeMs: fs.statSync(APPOINTMENTS_PATH).mtimeMs, appointments };
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function lastTen(phone) {
+  return String(phone || "").replace(/\D/g, "").slice(-10);
+}
+
+// YYYY-MM-DD of a start time in the hospital timezone
+function localDate(iso) {
+  const p = zonedParts(new Date(iso));
+  return `${p.y}-${String(p.m).padStart(2, "0")}-${String(p.d).padStart(2, "0")}`;
+}
+
+function newConfirmationId(appointments) {
+  const taken = new Set(appointments.map((a) => a.confirmationId));
+  let id;
+  do id = `APT-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+  while (taken.has(id));
+  return id;
+}
+
+// ---------- Queries ----------
+// Filters: doctorId, date (YYYY-MM-DD, hospital timezone), status, phone (last 10 digits),
+// upcoming (start after now). Sorted by start time.
+export function listAppointments({ doctorId, date, status, phone, upcoming = false } = {}) {
+  if (status && !STATUSES.includes(status)) throw badRequest(`Unknown status: ${status}`);
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) throw badRequest("date must be YYYY-MM-DD.");
+
+  const now = new Date().toISOString();
+  const digits = phone ? lastTen(phone) : null;
+  return load()
+    .filter((a) => !doctorId || a.doctorId === doctorId)
+    .filter((a) => !status || a.status === status)
+    .filter((a) => !date || localDate(a.start) === date)
+    .filter((a) => !digits || lastTen(a.phone) === digits)
+    .filter((a) => !upcoming || a.start > now)
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+export function getAppointment(confirmationId) {
+  const id = String(confirmationId || "").toUpperCase();
+  return load().find((a) => a.confirmationId === id) || null;
+}
+
+// ---------- Writes ----------
+// Callers (slots.mjs) check the slot is free before creating or moving an appointment
+export function createAppointment(fields) {
+  const appointments = [...load()];
+  const appointment = {
+    confirmationId: newConfirmationId(appointments),
+    ...fields,
+    status: "booked",
+    createdAt: new Date().toISOString(),
+  };
+  appointments.push(appointment);
+  save(appointments);
+  return appointment;
+}
+
+function update(confirmationId, fn) {
+  const appointments = structuredClone(load());
+  const a = appointments.find((x) => x.confirmationId === String(confirmationId || "").toUpperCase());
+  if (!a) return null;
+  fn(a);
+  a.updatedAt = new Date().toISOString();
+  save(appointments);
+  return a;
+}
+
+export function moveAppointment(confirmationId, { start, end }) {
+  return update(confirmationId, (a) => {
+    a.rescheduledFrom = [...(a.rescheduledFrom || []), a.start];
+    a.start = start;
+    a.end = end;
+  });
+}
+
+export function cancelAppointment(confirmationId, { by = null } = {}) {
+  return update(confirmationId, (a) => {
+    if (a.status === "cancelled") return;
+    a.status = "cancelled";
+    a.cancelledAt = new Date().toISOString();
+    if (by) a.cancelledBy = by;
+  });
+}
@@ -0,0 +1,87 @@
+// Wall-clock helpers for the hospital's timezone. Slots are stored as UTC ISO
+// strings; everything a caller hears is in HOSPITAL_TZ.
+export const TZ = process.env.HOSPITAL_TZ || "Asia/Kolkata";
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const partsFmt = new Intl.DateTimeFormat("en-US", {
+  timeZone: TZ,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "numeric",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+  weekday: "short",
+});
+
+// -> { y, m, d, hh, mm, weekday: "mon".."sun" } as seen on a wall clock in TZ
+export function zonedParts(date = new Date()) {
+  const p = Object.fromEntries(partsFmt.formatToParts(date).map((x) => [x.type, x.value]));
+  return {
+    y: Number(p.year),
+    m: Number(p.month),
+    d: Number(p.day),
+    hh: Number(p.hour),
+    mm: Number(p.minute),
+    weekday: String(p.weekday).slice(0, 3).toLowerCase(),
+  };
+}
+
+// Wall-clock time in TZ -> Date. Two passes settle DST edges for zones that have them.
+export function zonedDate(y, m, d, hh = 0, mm = 0) {
+  const want = Date.UTC(y, m - 1, d, hh, mm);
+  let t = want;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(t));
+    const seen = Date.UTC(p.y, p.m - 1, p.d, p.hh, p.mm);
+    t += want - seen;
+  }
+  return new Date(t);
+}
+
+// Calendar day n days after the given { y, m, d }
+export function addDays({ y, m, d }, n) {
+  const t = new Date(Date.UTC(y, m - 1, d + n));
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate(), weekday: WEEKDAYS[t.getUTCDay()] };
+}
+
+export function weekdayIndex(key) {
+  return WEEKDAYS.indexOf(key);
+}
+
+export { WEEKDAYS };
+
+// Dates are read in the caller's language ("hi-IN", "ta-IN", ...); anything else reads as en-IN
+function localeFor(lang) {
+  return /^[a-z]{2,3}-IN$/.test(String(lang)) ? lang : "en-IN";
+}
+
+// "Tue 21 Oct, 5:00 PM" / the same in the caller's language — always includes the date so read-backs are unambiguous
+export function formatSlot(date, lang = "en-IN") {
+  return new Intl.DateTimeFormat(localeFor(lang), {
+    timeZone: TZ,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  }).format(date);
+}
+
+// Read-back for a parsed request: "Tue, 20 Oct, 5:00 pm", "Tue, 20 Oct, 4:00 pm – 8:00 pm"
+// or just "Tue, 20 Oct" for a whole day
+export function formatWhen(request, lang = "en-IN") {
+  if (request.at) return formatSlot(new Date(request.at), lang);
+
+  const locale = localeFor(lang);
+  const from = new Date(request.from);
+  const to = new Date(request.to);
+  const day = new Intl.DateTimeFormat(locale, { timeZone: TZ, weekday: "short", day: "numeric", month: "short" }).format(from);
+  const start = zonedParts(from);
+  if (start.hh === 0 && start.mm === 0 && to - from >= 23 * 60 * 60 * 1000) return day;
+
+  const time = new Intl.DateTimeFormat(locale, { timeZone: TZ, hour: "numeric", minute: "2-digit", hour12: true });
+  return `${day}, ${time.format(from)} – ${time.format(to)}`;
+}
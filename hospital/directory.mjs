@@ -0,0 +1,208 @@
+import fs from "fs";
+import path from "path";
+
+// Doctors, departments and the spoken aliases used to detect a department.
+// Stored in hospital/directory.json; the hospital flow reads through here on every
+// turn, so admin edits (or a hand-edited file) apply without a restart.
+const DIRECTORY_PATH = process.env.HOSPITAL_DIRECTORY_PATH || path.join(process.cwd(), "hospital", "directory.json");
+
+let cache = null; // { mtimeMs, data }
+
+function normalize(s) {
+  return String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function slug(s) {
+  return normalize(s).replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+function load() {
+  try {
+    const { mtimeMs } = fs.statSync(DIRECTORY_PATH);
+    if (cache?.mtimeMs === mtimeMs) return cache.data;
+    const data = JSON.parse(fs.readFileSync(DIRECTORY_PATH, "utf8"));
+    cache = { mtimeMs, data: { departments: data.departments || [], doctors: data.doctors || [] } };
+  } catch (e) {
+    if (!cache) {
+      console.error("Doctor directory load failed:", e?.message);
+      cache = { mtimeMs: 0, data: { departments: [], doctors: [] } };
+    }
+  }
+  return cache.data;
+}
+
+function save(data) {
+  const tmp = `${DIRECTORY_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, DIRECTORY_PATH);
+  cache = { mtimeMs: fs.statSync(DIRECTORY_PATH).mtimeMs, data };
+}
+
+// Admin input errors carry status 400 for the route to return
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function cleanAliases(aliases = {}) {
+  const list = (xs) => [...new Set((Array.isArray(xs) ? xs : String(xs || "").split(",")).map(normalize).filter(Boolean))];
+  return { en: list(aliases.en), hi: list(aliases.hi) };
+}
+
+// ---------- Departments ----------
+export function listDepartments({ includeInactive = false } = {}) {
+  return load().departments.filter((d) => includeInactive || d.active !== false);
+}
+
+export function upsertDepartment(id, patch) {
+  const data = structuredClone(load());
+  const idx = id ? data.departments.findIndex((d) => d.id === id) : -1;
+  if (id && idx < 0) return null;
+
+  const prev = idx >= 0 ? data.departments[idx] : null;
+  const name = String(patch.name ?? prev?.name ?? "").trim();
+  if (!name) throw badRequest("Department name is required.");
+
+  const nextId = prev?.id || slug(name);
+  if (!prev && data.departments.some((d) => d.id === nextId)) throw badRequest(`Department ${name} already exists.`);
+
+  const dept = {
+    ...prev,
+    id: nextId,
+    name,
+    active: patch.active ?? prev?.active ?? true,
+    aliases: cleanAliases(patch.aliases ?? prev?.aliases),
+  };
+
+  // Renaming a department moves its doctors along with it
+  if (prev && prev.name !== name) {
+    for (const d of data.doctors) if (d.dept === prev.name) d.dept = name;
+  }
+
+  if (idx >= 0) data.departments[idx] = dept;
+  else data.departments.push(dept);
+  save(data);
+  return dept;
+}
+
+// Weekly working hours: { mon: ["10:00-13:00", "17:00-19:00"], ... }. Admin forms send
+// the compact text form "mon,wed 10:00-13:00 17:00-19:00; sat 10:00-13:00".
+const DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const RANGE_RE = /^([01]?\d|2[0-3]):([0-5]\d)-([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(hh, mm) {
+  return Number(hh) * 60 + Number(mm);
+}
+
+function cleanRange(r) {
+  const m = String(r || "").replace(/\s+/g, "").match(RANGE_RE);
+  if (!m || toMinutes(m[1], m[2]) >= toMinutes(m[3], m[4])) throw badRequest(`Invalid hours range: ${r}`);
+  const pad = (h, mm) => `${h.padStart(2, "0")}:${mm}`;
+  return `${pad(m[1], m[2])}-${pad(m[3], m[4])}`;
+}
+
+export function parseHours(input) {
+  if (input && typeof input === "object") {
+    const out = {};
+    for (const [day, ranges] of Object.entries(input)) {
+      if (!DAYS.includes(day)) throw badRequest(`Unknown weekday: ${day}`);
+      const list = (Array.isArray(ranges) ? ranges : [ranges]).map(cleanRange);
+      if (list.length) out[day] = list;
+    }
+    return out;
+  }
+
+  const out = {};
+  for (const part of String(input || "").split(";").map((x) => x.trim()).filter(Boolean)) {
+    const [daysSpec, ...ranges] = part.split(/\s+/);
+    const days = [];
+    for (const spec of daysSpec.toLowerCase().split(",")) {
+      const [a, b] = spec.split("-");
+      const from = DAYS.indexOf(a);
+      const to = b ? DAYS.indexOf(b) : from;
+      if (from < 0 || to < from) throw badRequest(`Unknown weekday: ${spec}`);
+      days.push(...DAYS.slice(from, to + 1));
+    }
+    for (const day of days) out[day] = [...(out[day] || []), ...ranges.map(cleanRange)];
+  }
+  return out;
+}
+
+export function formatHours(hours = {}) {
+  return DAYS.filter((d) => hours[d]?.length).map((d) => `${d} ${hours[d].join(" ")}`).join("; ");
+}
+
+// ---------- Doctors ----------
+export function listDoctors({ includeInactive = false } = {}) {
+  return load().doctors.filter((d) => includeInactive || d.active !== false);
+}
+
+export function getDoctor(id) {
+  return load().doctors.find((d) => d.id === id) || null;
+}
+
+function nextDoctorId(doctors) {
+  const max = doctors.reduce((m, d) => Math.max(m, parseInt(String(d.id).replace(/\D/g, ""), 10) || 0), 0);
+  return `D${String(max + 1).padStart(3, "0")}`;
+}
+
+export function upsertDoctor(id, patch) {
+  const data = structuredClone(load());
+  const idx = id ? data.doctors.findIndex((d) => d.id === id) : -1;
+  if (id && idx < 0) return null;
+
+  const prev = idx >= 0 ? data.doctors[idx] : null;
+  const name = String(patch.name ?? prev?.name ?? "").trim();
+  const dept = String(patch.dept ?? prev?.dept ?? "").trim();
+  if (!name) throw badRequest("Doctor name is required.");
+  if (!data.departments.some((d) => d.name === dept)) throw badRequest(`Unknown department: ${dept || "(none)"}.`);
+
+  const slotMinutes = Number(patch.slotMinutes ?? prev?.slotMinutes ?? 15);
+  if (!Number.isInteger(slotMinutes) || slotMinutes < 5 || slotMinutes > 120) throw badRequest("Slot length must be 5-120 minutes.");
+
+  const doctor = {
+    ...prev,
+    id: prev?.id || nextDoctorId(data.doctors),
+    name,
+    dept,
+    location: String(patch.location ?? prev?.location ?? "Gurgaon").trim(),
+    active: patch.active ?? prev?.active ?? true,
+    hours: parseHours(patch.hours ?? prev?.hours ?? {}),
+    slotMinutes,
+  };
+
+  if (idx >= 0) data.doctors[idx] = doctor;
+  else data.doctors.push(doctor);
+  save(data);
+  return doctor;
+}
+
+// ---------- Lookups used by the call flow ----------
+// Short Latin aliases ("ent", "dil") must be whole words, longer ones match at a word
+// start ("cardio" -> "cardiologist"); Devanagari aliases match anywhere.
+function aliasHit(text, alias) {
+  if (/[\u0900-\u097F]/.test(alias)) return text.includes(alias);
+  const esc = alias.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const re = alias.length <= 3 ? new RegExp(`\\b${esc}\\b`) : new RegExp(`\\b${esc}`);
+  return re.test(text);
+}
+
+export function detectDept(text) {
+  const t = normalize(text);
+  for (const d of listDepartments()) {
+    const aliases = [normalize(d.name), ...(d.aliases?.en || []), ...(d.aliases?.hi || [])];
+    if (aliases.some((a) => aliasHit(t, a))) return d.name;
+  }
+  return null;
+}
+
+export function listDoctorsByDept(dept, location = "Gurgaon") {
+  return listDoctors().filter((x) => normalize(x.dept) === normalize(dept) && normalize(x.location) === normalize(location));
+}
+
+export function findDoctorByName(query) {
+  const q = normalize(query).replace(/^dr\.?\s*/i, "");
+  if (!q) return [];
+  return listDoctors().filter((d) => normalize(d.name).includes(q)).slice(0, 5);
+}
@@ -0,0 +1,213 @@
+import fs from "fs";
+
+// Runs the hospital call flow described in hospital/flow.json. The definition is
+// data — states, what to extract from the caller's words and the routes between
+// states — and the code behind it (slot lookups, bookings, escalations) is
+// registered by name from server.js. Prompts are message IDs in the locale catalogs
+// ("askName" is "hospital.askName" in locales/<lang>.json); "{name}" in a prompt is
+// filled from globals, session data, extracted slots and action vars (in that order).
+//
+//   start:   first state of a call
+//   steps:   { name: step }             responses an action can choose between
+//   groups:  { name: [route] }          route lists shared by several states
+//   global:  [route]                    tried before the state's own routes
+//   states:  { NAME: { booking?, freeText?, extract?: [name | { use, ...options }], routes: [route | { group }] } }
+//            freeText: the caller says something free-form here (a name), so language
+//            names in it are not requests to switch language
+//
+//   step  = { set?: { data }, do?: action | [action], say?: prompt | [prompt], next?: STATE,
+//             transfer?: line, hangup?: true, polish?: false }
+//   route = step + if?: [condition] (all hold) + any?: [condition] (one holds)
+//   condition = predicate | slot.x | slot.x=value | data.x | data.x=value, "!" negates
+//
+// The last route of every state must be unconditional: it is the fallback. A step
+// without "say" needs an action that can choose the step that answers.
+// The definition is validated when loaded; an edit that fails validation is logged
+// and the previous definition stays in use.
+
+const MAX_CHAIN = 8;
+
+function list(v) {
+  if (v === undefined || v === null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function parseCondition(raw) {
+  const negate = raw.startsWith("!");
+  const body = negate ? raw.slice(1) : raw;
+  const m = body.match(/^(slot|data)\.(\w+)(?:=(.*))?$/);
+  if (!m) return { negate, predicate: body };
+  return { negate, scope: m[1], key: m[2], value: m[3] };
+}
+
+// ---------- Validation ----------
+function validate(def, { prompts, predicates, extractors, actions, transfers }) {
+  const errors = [];
+  const states = def.states || {};
+  const steps = def.steps || {};
+  const groups = def.groups || {};
+
+  if (!states[def.start]) errors.push(`start state "${def.start}" is not defined`);
+
+  const checkStep = (where, step) => {
+    for (const id of list(step.say)) if (!prompts.includes(id)) errors.push(`${where}: unknown prompt "${id}"`);
+    for (const name of list(step.do)) if (!actions[name]) errors.push(`${where}: unknown action "${name}"`);
+    if (step.next && !states[step.next]) errors.push(`${where}: unknown next state "${step.next}"`);
+    if (step.transfer && !transfers.includes(step.transfer)) errors.push(`${where}: unknown transfer line "${step.transfer}"`);
+    // Without "say", one of the actions must be able to choose the step that answers
+    const chooses = list(step.do).some((name) => actions[name]?.steps?.length);
+    if (!step.say && !chooses) errors.push(`${where}: needs "say", or "do" with an action that chooses a step`);
+  };
+
+  const checkRoute = (where, route, slots) => {
+    checkStep(where, route);
+    for (const raw of [...list(route.if), ...list(route.any)]) {
+      const c = parseCondition(String(raw));
+      if (c.predicate && !predicates[c.predicate]) errors.push(`${where}: unknown predicate "${c.predicate}"`);
+      if (c.scope === "slot" && !slots.has(c.key)) errors.push(`${where}: slot "${c.key}" is not extracted here`);
+    }
+  };
+
+  for (const [name, step] of Object.entries(steps)) checkStep(`step ${name}`, step);
+  for (const [name, action] of Object.entries(actions)) {
+    for (const s of action.steps || []) if (!steps[s]) errors.push(`action ${name} can choose step "${s}", which is not defined`);
+  }
+
+  list(def.global).forEach((route, i) => checkRoute(`global route ${i + 1}`, route, new Set()));
+
+  for (const [name, state] of Object.entries(states)) {
+    const slots = new Set();
+    for (const spec of list(state.extract)) {
+      const use = typeof spec === "string" ? spec : spec?.use;
+      if (!extractors[use]) errors.push(`state ${name}: unknown extractor "${use}"`);
+      else extractors[use].slots.forEach((s) => slots.add(s));
+    }
+
+    const routes = [];
+    for (const r of list(state.routes)) {
+      if (!r.group) routes.push(r);
+      else if (!groups[r.group]) errors.push(`state ${name}: unknown group "${r.group}"`);
+      else routes.push(...groups[r.group]);
+    }
+    routes.forEach((route, i) => checkRoute(`state ${name} route ${i + 1}`, route, slots));
+
+    const last = routes[routes.length - 1];
+    if (!last || list(last.if).length || list(last.any).length) errors.push(`state ${name}: last route must be an unconditional fallback`);
+  }
+
+  return errors;
+}
+
+// ---------- Engine ----------
+// registry: { prompts: [id], predicates: { name: (ctx) => bool }, extractors: { name: { slots, run(ctx, options) } },
+//             actions: { name: { steps, run(ctx) } }, transfers: [line] }
+// hooks:    { getSession, setSession, prompt(callSid, id) -> text in the caller's language,
+//             globals(ctx), speak(callSid, text, step) }
+export function createFlow(file, registry, hooks) {
+  let loaded = null; // { mtimeMs, def }
+
+  function load() {
+    let mtimeMs;
+    try {
+      ({ mtimeMs } = fs.statSync(file));
+      if (loaded?.mtimeMs === mtimeMs) return loaded.def;
+      const def = JSON.parse(fs.readFileSync(file, "utf8"));
+      const errors = validate(def, registry);
+      if (errors.length) throw new Error(`Invalid flow ${file}:\n  - ${errors.join("\n  - ")}`);
+      loaded = { mtimeMs, def };
+    } catch (e) {
+      if (!loaded) throw e;
+      console.error("Flow reload failed, keeping the previous definition:", e?.message);
+      // A missing file (mid-save) is retried next turn; a broken one waits for the next edit
+      if (mtimeMs !== undefined) loaded.mtimeMs = mtimeMs;
+    }
+    return loaded.def;
+  }
+
+  // Throws at startup if the definition is broken
+  load();
+
+  function expand(def, state) {
+    return list(state.routes).flatMap((r) => (r.group ? def.groups[r.group] : [r]));
+  }
+
+  function holds(ctx, raw) {
+    const c = parseCondition(String(raw));
+    let ok;
+    if (c.predicate) ok = !!registry.predicates[c.predicate](ctx);
+    else {
+      const v = c.scope === "slot" ? ctx.slots[c.key] : ctx.data[c.key];
+      ok = c.value === undefined ? !!v : String(v) === c.value;
+    }
+    return c.negate ? !ok : ok;
+  }
+
+  function matches(ctx, route) {
+    const any = list(route.any);
+    return list(route.if).every((c) => holds(ctx, c)) && (!any.length || any.some((c) => holds(ctx, c)));
+  }
+
+  function render(ctx, id, vars = {}) {
+    const text = hooks.prompt(ctx.callSid, id);
+    if (!/\{\w+\}/.test(text)) return text;
+    const all = { ...hooks.globals(ctx), ...ctx.data, ...ctx.slots, ...ctx.vars, ...vars };
+    return text.replace(/\{(\w+)\}/g, (_, k) => (all[k] ?? "").toString());
+  }
+
+  async function execute(ctx, step, depth = 0) {
+    const def = load();
+    if (step.set) hooks.setSession(ctx.callSid, { data: step.set });
+
+    for (const name of list(step.do)) {
+      const out = await registry.actions[name].run(ctx);
+      if (!out) continue;
+      const { step: chosen, vars } = typeof out === "string" ? { step: out } : out;
+      Object.assign(ctx.vars, vars);
+      if (chosen) {
+        if (depth >= MAX_CHAIN) throw new Error(`Flow step chain too long at "${chosen}"`);
+        return execute(ctx, def.steps[chosen], depth + 1);
+      }
+    }
+
+    if (!step.say) throw new Error(`Flow reached a step with nothing to say in state ${ctx.session.state}`);
+    if (step.next) hooks.setSession(ctx.callSid, { state: step.next });
+
+    const text = list(step.say).map((id) => render(ctx, id)).join(" ");
+    const say = await hooks.speak(ctx.callSid, text, step);
+    return { say, transfer: step.transfer || null, hangup: !!step.hangup };
+  }
+
+  // One caller turn -> { say, transfer: line | null, hangup }
+  async function run(callSid, text) {
+    const def = load();
+    const session = hooks.getSession(callSid);
+    const stateName = def.states[session.state] ? session.state : def.start;
+    const state = def.states[stateName];
+
+    const ctx = {
+      callSid,
+      text,
+      session,
+      slots: {},
+      vars: {},
+      get data() {
+        return hooks.getSession(callSid).data || {};
+      },
+      render: (id, vars) => render(ctx, id, vars),
+    };
+
+    for (const spec of list(state.extract)) {
+      const { use, ...options } = typeof spec === "string" ? { use: spec } : spec;
+      Object.assign(ctx.slots, registry.extractors[use].run(ctx, options));
+    }
+
+    const route = [...list(def.global), ...expand(def, state)].find((r) => matches(ctx, r));
+    return execute(ctx, route);
+  }
+
+  return {
+    run,
+    isBooking: (state) => !!load().states[state]?.booking,
+    isFreeText: (state) => !!load().states[state]?.freeText,
+  };
+}
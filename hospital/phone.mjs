@@ -0,0 +1,84 @@
+// Phone numbers as callers say them: "nine eight double seven six...", "98765 43210",
+// "नौ आठ सात...", "plus nine one ...". Digits come out as a plain string; Indian
+// mobiles are stored as their 10 digits.
+
+const DIGIT_WORDS = {
+  zero: 0, oh: 0, o: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  shunya: 0, shoonya: 0, sunya: 0, sifar: 0, ek: 1, do: 2, teen: 3, char: 4, chaar: 4, paanch: 5, panch: 5,
+  chhe: 6, che: 6, chah: 6, saat: 7, aath: 8, nau: 9,
+  "शून्य": 0, "सिफ़र": 0, "सिफर": 0, "जीरो": 0, "ज़ीरो": 0, "एक": 1, "दो": 2, "तीन": 3, "चार": 4, "पांच": 5, "पाँच": 5,
+  "छह": 6, "छः": 6, "छे": 6, "सात": 7, "आठ": 8, "नौ": 9,
+};
+
+const TENS_WORDS = { twenty: 2, thirty: 3, forty: 4, fifty: 5, sixty: 6, seventy: 7, eighty: 8, ninety: 9 };
+
+const REPEAT_WORDS = { double: 2, "डबल": 2, "दबल": 2, triple: 3, "ट्रिपल": 3 };
+
+// Tokens that may sit between digits without breaking the number
+const FILLER = new Set(["plus", "and", "my", "number", "is", "mobile", "phone", "mera", "hai", "मेरा", "नंबर", "है"]);
+
+function tokens(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[०-९]/g, (d) => String(d.charCodeAt(0) - 0x0966))
+    .replace(/[^\p{L}\p{M}\d]+/gu, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+}
+
+// All digits spoken in the utterance, in order ("double seven" -> "77", "ninety eight" -> "98")
+export function spokenDigits(text) {
+  const out = [];
+  let repeat = 1;
+  let tens = null;
+
+  const push = (d) => {
+    out.push(String(d).repeat(repeat));
+    repeat = 1;
+  };
+
+  for (const w of tokens(text)) {
+    if (tens !== null) {
+      const unit = DIGIT_WORDS[w];
+      if (unit !== undefined && unit > 0 && !/^\d/.test(w)) {
+        push(`${tens}${unit}`);
+        tens = null;
+        continue;
+      }
+      push(`${tens}0`);
+      tens = null;
+    }
+
+    if (/^\d+$/.test(w)) {
+      // "double 7" repeats the first digit only
+      push(w[0]);
+      if (w.length > 1) out.push(w.slice(1));
+    } else if (DIGIT_WORDS[w] !== undefined) {
+      push(DIGIT_WORDS[w]);
+    } else if (TENS_WORDS[w] !== undefined) {
+      tens = TENS_WORDS[w];
+    } else if (REPEAT_WORDS[w]) {
+      repeat = REPEAT_WORDS[w];
+    } else if (!FILLER.has(w)) {
+      repeat = 1;
+    }
+  }
+  if (tens !== null) push(`${tens}0`);
+  return out.join("");
+}
+
+// 10-digit Indian mobile (starts 6-9), with an optional +91 / 91 / 0 prefix -> "9876543210" | null.
+// Also used on Twilio's From ("+919876543210") to offer the caller ID.
+export function indianMobile(digits) {
+  let d = String(digits || "").replace(/\D/g, "");
+  if (d.length === 12 && d.startsWith("91")) d = d.slice(2);
+  else if (d.length === 11 && d.startsWith("0")) d = d.slice(1);
+  return /^[6-9]\d{9}$/.test(d) ? d : null;
+}
+
+// "9 8 7 6 5, 4 3 2 1 0" so TTS reads each digit instead of a large number
+export function readBack(digits) {
+  const d = String(digits || "");
+  return d.length === 10 ? `${d.slice(0, 5).split("").join(" ")}, ${d.slice(5).split("").join(" ")}` : d.split("").join(" ");
+}
@@ -0,0 +1,117 @@
+import fs from "fs";
+import path from "path";
+
+// Safety triage for hospital calls. Two tiers:
+//   emergency — possible life threat (chest pain, stroke signs, not breathing...):
+//               tell the caller to ring the public emergency number and dial the
+//               hospital's emergency line straight away
+//   medical   — symptoms, medicines, doses: the assistant must not advise, so the
+//               caller goes to the nurse line
+// Every escalation is appended to hospital/safety-log.jsonl (one JSON object per line).
+
+const LOG_PATH = process.env.HOSPITAL_SAFETY_LOG_PATH || path.join(process.cwd(), "hospital", "safety-log.jsonl");
+
+export const TIERS = ["emergency", "medical"];
+
+// Phrases are matched on word boundaries, so "bp" does not fire inside another word.
+// Words with an everyday meaning ("fits", "accident", "cold", "sugar") only count in a
+// medical phrase, so "5 pm fits me" or "an accident last year" is not an escalation.
+const EMERGENCY = [
+  "emergency", "ambulance", "heart attack", "cardiac arrest", "chest pain", "pain in chest", "pain in my chest",
+  "stroke", "paralysis", "face drooping", "slurred speech", "can't breathe", "cannot breathe", "can not breathe",
+  "not breathing", "difficulty breathing", "trouble breathing", "breathless", "choking", "unconscious",
+  "not responding", "fainted", "collapsed", "seizure", "convulsion", "having fits", "having a fit", "having a seizure",
+  "heavy bleeding", "severe bleeding", "bleeding a lot", "won't stop bleeding", "overdose", "poison", "poisoning",
+  "suicide", "kill myself", "severe burn",
+  // an accident happening now, not one in the past
+  "just had an accident", "has had an accident", "have had an accident", "has been in an accident",
+  "there's been an accident", "there has been an accident", "just met with an accident",
+  // Hinglish
+  "seene mein dard", "seene me dard", "chhati mein dard", "chhati me dard", "dil ka daura", "behosh", "saans nahi",
+  "saans nahin", "saans lene mein", "saans lene me", "khoon beh", "khoon nahi ruk", "mirgi", "daura pada",
+  "daura padh", "lakwa", "zeher", "jahar", "jeher", "fits aaya", "fits aaye", "fits aa rahe", "fits aa raha",
+  "fits pad", "fits pade", "fits padh", "accident ho gaya", "accident ho gya", "accident hua hai",
+  // Hindi
+  "आपातकाल", "इमरजेंसी", "एम्बुलेंस", "एंबुलेंस", "सीने में दर्द", "छाती में दर्द", "दिल का दौरा", "हार्ट अटैक", "लकवा",
+  "बेहोश", "सांस नहीं", "साँस नहीं", "सांस लेने में", "साँस लेने में", "खून बह", "खून नहीं रुक", "मिर्गी", "दौरा पड़",
+  "ज़हर", "जहर", "आत्महत्या", "फिट्स आया", "फिट्स आए", "फिट्स आ रहे", "फिट्स पड़ रहे", "एक्सीडेंट हो गया", "एक्सीडेंट हुआ है",
+  "दुर्घटना हो गई", "दुर्घटना हुई है",
+];
+
+const MEDICAL = [
+  "fever", "pain", "ache", "cough", "bp", "blood pressure", "diabetes", "symptom", "symptoms",
+  "have a cold", "has a cold", "having a cold", "got a cold", "caught a cold", "cold and cough", "cough and cold",
+  "sugar level", "sugar levels", "blood sugar", "high sugar", "low sugar", "sugar is high", "sugar is low",
+  "diagnose", "diagnosis", "treatment", "medicine", "medicines", "tablet", "tablets", "dose", "dosage",
+  "side effect", "side effects", "vomit", "vomiting", "bleeding", "pregnant", "pregnancy", "rash", "infection",
+  "allergy", "injury",
+  // Hinglish
+  "bukhar", "dard", "khansi", "zukam", "saans", "dabav", "dawai", "dawa", "goli", "ulti", "chot", "sugar badh",
+  "sugar kam", "sugar ki bimari",
+  // Hindi
+  "बुखार", "दर्द", "खांसी", "खाँसी", "जुकाम", "दवा", "दवाई", "गोली", "उल्टी", "चोट", "गर्भ", "शुगर लेवल", "शुगर बढ़", "शुगर कम", "शुगर की बीमारी",
+];
+
+function escape(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function matcher(phrases) {
+  // \b does not work for Devanagari, so use letter/mark lookarounds instead
+  return new RegExp(`(?<![\\p{L}\\p{M}])(${phrases.map(escape).join("|")})(?![\\p{L}\\p{M}])`, "u");
+}
+
+const EMERGENCY_RE = matcher(EMERGENCY);
+const MEDICAL_RE = matcher(MEDICAL);
+
+// -> { tier: "emergency" | "medical", matched } or null
+export function classifySafety(text) {
+  const t = String(text || "").toLowerCase().replace(/[’']/g, "'").replace(/\s+/g, " ").trim();
+  const emergency = t.match(EMERGENCY_RE);
+  if (emergency) return { tier: "emergency", matched: emergency[1] };
+  const medical = t.match(MEDICAL_RE);
+  if (medical) return { tier: "medical", matched: medical[1] };
+  return null;
+}
+
+// ---------- Escalation log ----------
+// entry: { callSid, tier, matched, text, action: "dial" | "no-line", number? }
+export function logEscalation(entry) {
+  const line = { at: new Date().toISOString(), ...entry };
+  console.warn(`Safety escalation [${line.tier}] callSid=${line.callSid} action=${line.action} matched="${line.matched}"`);
+  try {
+    fs.appendFileSync(LOG_PATH, JSON.stringify(line) + "\n");
+  } catch (e) {
+    console.error("Safety log write failed:", e?.message);
+  }
+  return line;
+}
+
+// Newest first. Filters: tier, callSid; limit defaults to 200.
+export function listEscalations({ tier, callSid, limit = 200 } = {}) {
+  if (tier && !TIERS.includes(tier)) {
+    const err = new Error(`Unknown tier: ${tier}`);
+    err.status = 400;
+    throw err;
+  }
+
+  let raw = "";
+  try {
+    raw = fs.readFileSync(LOG_PATH, "utf8");
+  } catch (e) {
+    if (e?.code !== "ENOENT") throw e;
+  }
+  return raw
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => {
+      try {
+        return JSON.parse(l);
+      } catch {
+        return null;
+      }
+    })
+    .filter((e) => e && (!tier || e.tier === tier) && (!callSid || e.callSid === callSid))
+    .reverse()
+    .slice(0, Math.max(1, Number(limit) || 200));
+}
@@ -0,0 +1,157 @@
+import { getDoctor } from "./directory.mjs";
+import { listAppointments, getAppointment, createAppointment, moveAppointment } from "./appointments.mjs";
+import { zonedParts, zonedDate, addDays } from "./clock.mjs";
+
+// Dated appointment slots generated from each doctor's weekly hours; booked
+// appointments consume them. A slot is { doctorId, start, end } with UTC ISO times.
+//
+// While a caller is confirming, their slot is held in memory for SLOT_HOLD_SECONDS
+// so nobody else is offered it. Booking re-checks and writes synchronously, so two
+// calls can never book the same slot.
+
+const HORIZON_DAYS = Number(process.env.SLOT_HORIZON_DAYS || 14);
+const HOLD_MS = Number(process.env.SLOT_HOLD_SECONDS || 300) * 1000;
+const LEAD_MS = Number(process.env.SLOT_LEAD_MINUTES || 60) * 60 * 1000;
+
+const holds = new Map(); // slotKey -> { callSid, expiresAt }
+
+function slotKey(doctorId, start) {
+  return `${doctorId}|${new Date(start).toISOString()}`;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function bookedKeys() {
+  return new Set(listAppointments({ status: "booked" }).map((a) => slotKey(a.doctorId, a.start)));
+}
+
+function activeHold(key, now = Date.now()) {
+  const h = holds.get(key);
+  if (h && h.expiresAt <= now) {
+    holds.delete(key);
+    return null;
+  }
+  return h || null;
+}
+
+// ---------- Slot generation ----------
+function minutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function generateSlots(doctor, now) {
+  const step = doctor.slotMinutes || 15;
+  const today = zonedParts(now);
+  const earliest = now.getTime() + LEAD_MS;
+  const out = [];
+
+  for (let i = 0; i < HORIZON_DAYS; i++) {
+    const day = addDays(today, i);
+    for (const range of doctor.hours?.[day.weekday] || []) {
+      const [a, b] = range.split("-").map(minutes);
+      for (let m = a; m + step <= b; m += step) {
+        const start = zonedDate(day.y, day.m, day.d, Math.floor(m / 60), m % 60);
+        if (start.getTime() < earliest) continue;
+        out.push({
+          doctorId: doctor.id,
+          start: start.toISOString(),
+          end: new Date(start.getTime() + step * 60 * 1000).toISOString(),
+        });
+      }
+    }
+  }
+  return out;
+}
+
+// Every slot in the horizon with its status: free | held | booked.
+// A slot held by the asking call counts as free for that call.
+export function listSlots(doctorId, { callSid = null, now = new Date() } = {}) {
+  const doctor = getDoctor(doctorId);
+  if (!doctor || doctor.active === false) return [];
+
+  const booked = bookedKeys();
+  return generateSlots(doctor, now).map((s) => {
+    const key = slotKey(s.doctorId, s.start);
+    if (booked.has(key)) return { ...s, status: "booked" };
+    const hold = activeHold(key, now.getTime());
+    return { ...s, status: hold && hold.callSid !== callSid ? "held" : "free" };
+  });
+}
+
+export function freeSlots(doctorId, opts = {}) {
+  return listSlots(doctorId, opts).filter((s) => s.status === "free");
+}
+
+export function nextAvailable(doctorId, n = 3, opts = {}) {
+  return freeSlots(doctorId, opts).slice(0, n);
+}
+
+// request comes from parseWhen(): { at } or { from, to }.
+// -> { slot } when the request can be met, else { slot: null, alternatives } (nearest first, then by time)
+export function findSlot(doctorId, request, { callSid = null, now = new Date(), alternatives = 3 } = {}) {
+  const free = freeSlots(doctorId, { callSid, now });
+  const target = new Date(request.at || request.from).getTime();
+
+  if (request.at) {
+    const slot = free.find((s) => new Date(s.start).getTime() === target);
+    if (slot) return { slot, alternatives: [] };
+  } else {
+    const to = new Date(request.to).getTime();
+    const slot = free.find((s) => {
+      const t = new Date(s.start).getTime();
+      return t >= target && t < to;
+    });
+    if (slot) return { slot, alternatives: [] };
+  }
+
+  const nearest = free
+    .map((s) => ({ s, d: Math.abs(new Date(s.start).getTime() - target) }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, alternatives)
+    .map((x) => x.s)
+    .sort((a, b) => a.start.localeCompare(b.start));
+  return { slot: null, alternatives: nearest };
+}
+
+// ---------- Holds ----------
+export function releaseHolds(callSid) {
+  for (const [key, h] of holds) if (h.callSid === callSid) holds.delete(key);
+}
+
+// Holds one slot for a call (dropping any earlier hold it had). -> slot, or null if taken.
+export function holdSlot(doctorId, start, callSid, now = new Date()) {
+  const slot = freeSlots(doctorId, { callSid, now }).find((s) => s.start === new Date(start).toISOString());
+  if (!slot) return null;
+
+  releaseHolds(callSid);
+  holds.set(slotKey(doctorId, slot.start), { callSid, expiresAt: now.getTime() + HOLD_MS });
+  return slot;
+}
+
+// ---------- Booking ----------
+function takeSlot(doctorId, start, callSid) {
+  const slot = freeSlots(doctorId, { callSid }).find((s) => s.start === new Date(start).toISOString());
+  if (!slot) throw conflict("That slot is no longer available.");
+  holds.delete(slotKey(doctorId, slot.start));
+  return slot;
+}
+
+// Books a slot the call holds (or one that is still free). Throws status 409 if the
+// slot was booked or is held by another call in the meantime.
+export function bookSlot(doctorId, start, callSid, details = {}) {
+  const slot = takeSlot(doctorId, start, callSid);
+  return createAppointment({ ...details, doctorId, start: slot.start, end: slot.end, callSid });
+}
+
+// Moves a booked appointment to another slot of the same doctor (409 if taken)
+export function rescheduleSlot(confirmationId, start, callSid) {
+  const appt = getAppointment(confirmationId);
+  if (!appt || appt.status !== "booked") throw conflict("That appointment is not active.");
+  const slot = takeSlot(appt.doctorId, start, callSid);
+  return moveAppointment(appt.confirmationId, { start: slot.start, end: slot.end });
+}
@@ -0,0 +1,28 @@
+import { classifySafety } from "./safety.mjs";
+
+// Regression cases for classifySafety: node hospital/test_safety.mjs (exits 1 on a mismatch)
+const CASES = [
+  ["my father is having chest pain", "emergency"],
+  ["he is having fits", "emergency"],
+  ["bachche ko fits aaya hai", "emergency"],
+  ["मेरे बेटे को फिट्स आया है", "emergency"],
+  ["my mother just had an accident", "emergency"],
+  ["papa ka accident ho gaya", "emergency"],
+  ["Friday 5 pm fits me", null],
+  ["that slot fits", null],
+  ["I had an accident last year, need a follow-up with ortho", null],
+  ["I have a cold and fever", "medical"],
+  ["my sugar level is high", "medical"],
+  ["it was a cold morning, any slot on Monday", null],
+  ["the patient's name is Sugar", null],
+  ["what dose of paracetamol", "medical"],
+];
+
+let failed = 0;
+for (const [text, want] of CASES) {
+  const got = classifySafety(text)?.tier || null;
+  if (got !== want) failed++;
+  console.log(`${got === want ? "ok  " : "FAIL"} ${JSON.stringify(text)} -> ${got}${got === want ? "" : ` (want ${want})`}`);
+}
+console.log(`${CASES.length - failed}/${CASES.length} passed`);
+process.exit(failed ? 1 : 0);
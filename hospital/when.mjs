@@ -0,0 +1,404 @@
+import { zonedParts, zonedDate, addDays, weekdayIndex } from "./clock.mjs";
+
+// Turns a caller's preferred time into a concrete window in the hospital timezone
+// (HOSPITAL_TZ, which is also the call's timezone). Understands English, Hindi and
+// Hinglish: "tomorrow evening", "Friday 11 am", "kal shaam", "parson subah",
+// "सोमवार 11 बजे", "saade paanch baje", "21 October", "between 4 and 6".
+//
+//   { at: Date }             an exact clock time
+//   { from: Date, to: Date } a day, part of a day or a clock range
+//
+// Returns null when nothing usable is found.
+
+const DAY_PARTS = {
+  morning: [8, 12],
+  afternoon: [12, 16],
+  evening: [16, 20],
+  night: [20, 23],
+};
+
+const PART_WORDS = {
+  morning: ["morning", "subah", "subha", "सुबह"],
+  afternoon: ["afternoon", "dopahar", "dopehar", "दोपहर"],
+  evening: ["evening", "shaam", "शाम"],
+  night: ["night", "raat", "रात"],
+  noon: ["noon", "midday"],
+};
+
+// Offsets from today; longest phrases first so "day after tomorrow" wins over "tomorrow"
+const RELATIVE_DAYS = [
+  [["day after tomorrow", "parson", "parso", "परसों", "परसो"], 2],
+  [["tomorrow", "kal", "कल"], 1],
+  [["today", "aaj", "आज"], 0],
+];
+
+const WEEKDAY_WORDS = {
+  mon: ["monday", "somvar", "somwar", "सोमवार"],
+  tue: ["tuesday", "mangalvar", "mangalwar", "मंगलवार"],
+  wed: ["wednesday", "budhvar", "budhwar", "बुधवार"],
+  thu: ["thursday", "guruvar", "guruwar", "brihaspativar", "गुरुवार", "बृहस्पतिवार"],
+  fri: ["friday", "shukravar", "shukrawar", "शुक्रवार"],
+  sat: ["saturday", "shanivar", "shaniwar", "शनिवार"],
+  sun: ["sunday", "ravivar", "raviwar", "itwar", "रविवार", "इतवार"],
+};
+
+const NEXT_WORDS = ["next", "agle", "agla", "अगले", "अगला"];
+
+const MONTH_WORDS = [
+  ["january", "jan", "जनवरी"],
+  ["february", "feb", "फरवरी", "फ़रवरी"],
+  ["march", "mar", "मार्च"],
+  ["april", "apr", "अप्रैल"],
+  ["may", "मई"],
+  ["june", "jun", "जून"],
+  ["july", "jul", "जुलाई"],
+  ["august", "aug", "अगस्त"],
+  ["september", "sept", "sep", "सितंबर", "सितम्बर"],
+  ["october", "oct", "अक्टूबर"],
+  ["november", "nov", "नवंबर", "नवम्बर"],
+  ["december", "dec", "दिसंबर", "दिसम्बर"],
+];
+
+// Hour words. Hindi ones ("do", "char") are only read as hours next to "baje",
+// English ones next to am/pm/o'clock or after "at".
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  ek: 1, do: 2, teen: 3, char: 4, chaar: 4, paanch: 5, panch: 5, chhe: 6, che: 6, chah: 6, saat: 7, aath: 8, nau: 9,
+  das: 10, gyarah: 11, gyara: 11, barah: 12, bara: 12,
+  "एक": 1, "दो": 2, "तीन": 3, "चार": 4, "पांच": 5, "पाँच": 5, "छह": 6, "छः": 6, "सात": 7, "आठ": 8, "नौ": 9,
+  "दस": 10, "ग्यारह": 11, "बारह": 12,
+};
+
+const MINUTE_WORDS = { fifteen: 15, thirty: 30, "forty five": 45, "fourty five": 45 };
+
+// Word boundaries that also work for Devanagari (vowel signs are \p{M})
+const L = "[\\p{L}\\p{M}]";
+function wordRe(words, flags = "u") {
+  const alt = words
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  return new RegExp(`(?<!${L})(?:${alt})(?!${L})`, flags);
+}
+
+const MERIDIEM = "(a\\.?\\s?m\\.?|p\\.?\\s?m\\.?|o'?\\s?clock|baje|बजे)";
+
+// The caller's words as text plus, for every character, the [first, last] original word
+// it came from (null for the spaces between). Rewrites keep that link, so a match in the
+// normalized text can be traced back to the words the caller said (see splitWhen).
+function sourceText(text) {
+  const words = String(text || "").trim().split(/\s+/).filter(Boolean);
+  let out = "";
+  const origin = [];
+  words.forEach((w, i) => {
+    if (i) {
+      out += " ";
+      origin.push(null);
+    }
+    out += w;
+    for (let k = 0; k < w.length; k++) origin.push([i, i]);
+  });
+  return { words, text: out, origin };
+}
+
+// String.replace for sourceText(); a replacement inherits the words of what it replaced.
+// (The regexes here have no named groups, so the offset is the second-to-last argument.)
+function rewrite(src, re, replacement) {
+  let text = "";
+  const origin = [];
+  let last = 0;
+  src.text.replace(re, (...args) => {
+    const match = args[0];
+    const offset = args[args.length - 2];
+    const rep = typeof replacement === "function" ? replacement(...args) : replacement;
+    const from = src.origin.slice(offset, offset + match.length).filter(Boolean);
+    const span = from.length ? [Math.min(...from.map((o) => o[0])), Math.max(...from.map((o) => o[1]))] : null;
+    text += src.text.slice(last, offset) + rep;
+    origin.push(...src.origin.slice(last, offset), ...Array(rep.length).fill(span));
+    last = offset + match.length;
+    return rep;
+  });
+  text += src.text.slice(last);
+  origin.push(...src.origin.slice(last));
+  return { ...src, text, origin };
+}
+
+function normalize(src) {
+  src = rewrite(src, /\p{Lu}/gu, (c) => c.toLowerCase());
+  src = rewrite(src, /[०-९]/g, (d) => String(d.charCodeAt(0) - 0x0966));
+  src = rewrite(src, /[,;!?।]/g, " ");
+  src = rewrite(src, /\s+/g, " ");
+  return rewrite(src, /^ | $/g, "");
+}
+
+// Spoken hour words -> digits, so the clock parser only deals with numbers:
+// "saade paanch baje" -> "5:30 baje", "five thirty pm" -> "5:30 pm", "paune do baje" -> "1:45 baje"
+function numbersToDigits(src) {
+  const words = Object.keys(NUMBER_WORDS);
+  const num = wordRe(words).source;
+  const hour = (w) => (/^\d+$/.test(w) ? Number(w) : NUMBER_WORDS[w]);
+
+  src = rewrite(src, new RegExp(`${wordRe(["dedh", "डेढ़", "डेढ"]).source}`, "gu"), "1:30");
+  src = rewrite(src, new RegExp(`${wordRe(["dhai", "dhaai", "ढाई"]).source}`, "gu"), "2:30");
+
+  src = rewrite(src, new RegExp(`${wordRe(["saade", "sade", "साढ़े", "साढे"]).source}\\s+(${num}|\\d{1,2})`, "gu"), (_, w) => `${hour(w)}:30`);
+  src = rewrite(src, new RegExp(`${wordRe(["sava", "savaa", "सवा"]).source}\\s+(${num}|\\d{1,2})`, "gu"), (_, w) => `${hour(w)}:15`);
+  src = rewrite(src, new RegExp(`${wordRe(["paune", "पौने"]).source}\\s+(${num}|\\d{1,2})`, "gu"), (_, w) => {
+    const h = hour(w) - 1 || 12;
+    return `${h}:45`;
+  });
+  src = rewrite(src, /\bhalf past (\w+)/g, (m, w) => (hour(w) ? `${hour(w)}:30` : m));
+  src = rewrite(src, /\bquarter past (\w+)/g, (m, w) => (hour(w) ? `${hour(w)}:15` : m));
+  src = rewrite(src, /\bquarter to (\w+)/g, (m, w) => (hour(w) ? `${hour(w) - 1 || 12}:45` : m));
+
+  // "five thirty" / "five forty five"
+  const mins = Object.keys(MINUTE_WORDS).join("|");
+  src = rewrite(src, new RegExp(`(?<!${L})(${num})\\s+(${mins})(?!${L})`, "gu"), (m, w, mm) =>
+    NUMBER_WORDS[w] <= 12 && /^[a-z]/.test(w) ? `${NUMBER_WORDS[w]}:${MINUTE_WORDS[mm]}` : m
+  );
+
+  // Hour words marked as times
+  src = rewrite(src, new RegExp(`(?<!${L})(${num})(?=\\s*${MERIDIEM})`, "gu"), (m, w) => String(NUMBER_WORDS[w]));
+  src = rewrite(src, /\bat (one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\b/g, (_, w) => `at ${NUMBER_WORDS[w]}`);
+  return src;
+}
+
+// "21 October", "October 21st", "21 अक्टूबर", "21/10" -> { day, index, length }
+function findDate(t, today) {
+  const monthAlt = wordRe(MONTH_WORDS.flat()).source;
+  const patterns = [
+    new RegExp(`(?<!\\d)(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthAlt})`, "u"),
+    new RegExp(`(${monthAlt})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?!\\d)`, "u"),
+    /(?<![\d:.])(\d{1,2})\/(\d{1,2})(?![\d/])/u,
+  ];
+
+  for (const [i, re] of patterns.entries()) {
+    const m = re.exec(t);
+    if (!m) continue;
+    let d, mo;
+    if (i === 0) [d, mo] = [Number(m[1]), MONTH_WORDS.findIndex((ws) => ws.includes(m[2])) + 1];
+    else if (i === 1) [d, mo] = [Number(m[2]), MONTH_WORDS.findIndex((ws) => ws.includes(m[1])) + 1];
+    else [d, mo] = [Number(m[1]), Number(m[2])];
+    if (!mo || mo > 12 || d < 1 || d > 31) continue;
+
+    // Dates already past this year mean next year
+    let y = today.y;
+    if (mo < today.m || (mo === today.m && d < today.d)) y += 1;
+    const probe = addDays({ y, m: mo, d }, 0);
+    if (probe.m !== mo) continue; // 31 June etc.
+    return { day: probe, index: m.index, length: m[0].length };
+  }
+  return null;
+}
+
+// [start, end] of every match, for splitWhen
+function spanOf(m) {
+  return [m.index, m.index + m[0].length];
+}
+
+function findDay(t, today) {
+  for (const [words, offset] of RELATIVE_DAYS) {
+    const m = wordRe(words).exec(t);
+    if (m) return { day: addDays(today, offset), spans: [spanOf(m)] };
+  }
+
+  for (const [key, words] of Object.entries(WEEKDAY_WORDS)) {
+    const m = wordRe(words).exec(t);
+    if (!m) continue;
+    const next = wordRe(NEXT_WORDS).exec(t);
+    let offset = (weekdayIndex(key) - weekdayIndex(today.weekday) + 7) % 7;
+    if (offset === 0 && next) offset = 7;
+    // thisWeekday: today named by its weekday, which rolls to next week once the time has passed
+    return { day: addDays(today, offset), thisWeekday: offset === 0, spans: next ? [spanOf(m), spanOf(next)] : [spanOf(m)] };
+  }
+  return null;
+}
+
+function findPart(t) {
+  for (const [part, words] of Object.entries(PART_WORDS)) {
+    const m = wordRe(words).exec(t);
+    if (m) return { part, spans: [spanOf(m)] };
+  }
+  return null;
+}
+
+function toClock(hRaw, mmRaw, suffix) {
+  let h = Number(hRaw);
+  const mm = Number(mmRaw || 0);
+  if (h > 23 || mm > 59) return null;
+  const meridiem = suffix && /^[ap]/.test(suffix) ? suffix[0] : null;
+  if (meridiem === "p" && h < 12) h += 12;
+  if (meridiem === "a" && h === 12) h = 0;
+  return { h, mm, meridiem };
+}
+
+// "between 4 and 6", "from 10 to 12", "4 se 6 baje ke beech", "4 से 6 बजे तक"
+function findClockRange(t) {
+  const c = `(\\d{1,2})(?:[:.](\\d{2}))?\\s*${MERIDIEM}?`;
+  const sep = "\\s*(?:and|to|-|se|से)\\s*";
+  const res = [
+    new RegExp(`\\b(?:between|from)\\s+${c}${sep}${c}`, "u"),
+    new RegExp(`(?<![\\d:.])${c}\\s*(?:se|से)\\s*${c}\\s*(?:ke beech|ke bich|tak|के बीच|तक)`, "u"),
+  ];
+  for (const re of res) {
+    const m = re.exec(t);
+    if (!m) continue;
+    const a = toClock(m[1], m[2], m[3] || m[6]);
+    const b = toClock(m[4], m[5], m[6]);
+    if (a && b) return { from: a, to: b, spans: [spanOf(m)] };
+  }
+  return null;
+}
+
+// "after 5" / "5 ke baad" and "before 11" / "11 se pehle" turn a clock time into a range
+const QUALIFIERS = [
+  ["after", /\bafter\b|ke baad|के बाद/u],
+  ["before", /\bbefore\b|se pehle|se pahle|से पहले/u],
+];
+
+function findQualifier(t) {
+  for (const [q, re] of QUALIFIERS) {
+    const m = re.exec(t);
+    if (m) return { q, spans: [spanOf(m)] };
+  }
+  return null;
+}
+
+// A bare number only counts as a time when something marks it as one ("at 5",
+// "after 5", "5 baje", "5 ke baad", "tomorrow 5"), so phone digits and names are not
+// read as times.
+function findClock(t, hasContext) {
+  const re = new RegExp(`(?<![\\d:.])(\\d{1,2})(?:[:.](\\d{2}))?(?!\\d)\\s*${MERIDIEM}?`, "gu");
+  for (const m of t.matchAll(re)) {
+    const [, hRaw, mmRaw, suffix] = m;
+    const before = t.slice(0, m.index);
+    const after = t.slice(m.index + m[0].length);
+    const marked =
+      Boolean(mmRaw || suffix) ||
+      /\b(?:at|after|before) $/.test(before) ||
+      /^ ?(?:ke baad|se pehle|se pahle|के बाद|से पहले)/u.test(after);
+    if (!marked && !hasContext) continue;
+    const clock = toClock(hRaw, mmRaw, suffix);
+    if (clock) return { ...clock, spans: [[m.index, m.index + m[0].trimEnd().length]] };
+  }
+  return null;
+}
+
+// Clinic-hours guess for hours said without am/pm
+function adjustHour(clock, part) {
+  if (!clock || clock.meridiem || clock.h >= 12) return clock;
+  if (["afternoon", "evening", "night"].includes(part)) return { ...clock, h: clock.h + 12 };
+  if (part !== "morning" && clock.h >= 1 && clock.h <= 7) return { ...clock, h: clock.h + 12 };
+  return clock;
+}
+
+// -> { when, spans, src }: the window, where in src.text it was said, and the rewritten text
+function analyze(text, now) {
+  const src = numbersToDigits(normalize(sourceText(text)));
+  const t = src.text;
+  if (!t) return { when: null, spans: [], src };
+
+  const today = zonedParts(now);
+
+  const date = findDate(t, today);
+  // Date digits ("21 October") must not be read as a clock time
+  const rest = date ? t.slice(0, date.index) + " ".repeat(date.length) + t.slice(date.index + date.length) : t;
+
+  const dayHit = date ? { day: date.day, spans: [[date.index, date.index + date.length]] } : findDay(rest, today);
+  const partHit = findPart(rest);
+  const part = partHit?.part || null;
+  const range = findClockRange(rest);
+  const clockHit = range ? null : findClock(rest, Boolean(dayHit || partHit));
+  const qualifierHit = clockHit ? findQualifier(rest) : null;
+
+  if (!dayHit && !partHit && !range && !clockHit) return { when: null, spans: [], src };
+  const spans = [dayHit, partHit, range, clockHit, qualifierHit].flatMap((hit) => hit?.spans || []);
+
+  const clock = adjustHour(clockHit, part);
+
+  // Hour of the day by which the requested time is over
+  const endHour = range
+    ? adjustHour(range.to, part).h
+    : clock
+      ? clock.h + clock.mm / 60
+      : part === "noon"
+        ? 12
+        : part
+          ? DAY_PARTS[part][1]
+          : 24;
+  const passed = endHour <= today.hh + today.mm / 60;
+
+  // No day given: today if the time/part is still ahead, else tomorrow. Today's weekday
+  // ("Monday 11 am" said on Monday at 11:30) means next week once the time has passed.
+  let day = dayHit?.day;
+  if (!day) day = addDays(today, passed ? 1 : 0);
+  else if (dayHit.thisWeekday && passed) day = addDays(today, 7);
+
+  const at = (c) => zonedDate(day.y, day.m, day.d, c.h, c.mm);
+  const next = addDays(day, 1);
+  const dayStart = zonedDate(day.y, day.m, day.d, 0, 0);
+  const dayEnd = zonedDate(next.y, next.m, next.d, 0, 0);
+
+  const done = (when) => ({ when, spans, src });
+
+  if (range) {
+    const from = adjustHour(range.from, part);
+    let to = adjustHour(range.to, part);
+    if (to.h < from.h && to.h + 12 < 24 && !to.meridiem) to = { ...to, h: to.h + 12 };
+    return done({ from: at(from), to: at(to) });
+  }
+
+  if (clock) {
+    const q = qualifierHit?.q;
+    if (q === "after") return done({ from: at(clock), to: dayEnd });
+    if (q === "before") return done({ from: part && DAY_PARTS[part] ? at({ h: DAY_PARTS[part][0], mm: 0 }) : dayStart, to: at(clock) });
+    return done({ at: at(clock) });
+  }
+
+  if (part === "noon") return done({ at: at({ h: 12, mm: 0 }) });
+  if (part) {
+    const [a, b] = DAY_PARTS[part];
+    return done({ from: at({ h: a, mm: 0 }), to: at({ h: b, mm: 0 }) });
+  }
+
+  return done({ from: dayStart, to: dayEnd });
+}
+
+export function parseWhen(text, now = new Date()) {
+  return analyze(text, now).when;
+}
+
+const FILLER_WORDS = new Set(["at", "on", "by", "around", "baje", "बजे", "ko", "को", "par", "पर", "tak", "तक", "am", "pm", "o'clock", "please"]);
+
+// Separates a time phrase from the rest of an utterance: "Rohit Narwal kal shaam 5 baje"
+// -> { when, rest: "Rohit Narwal" }. Exactly the words the day, date, part and clock
+// matches came from are removed, plus connector words next to them ("at 5 pm", "5 baje ko").
+export function splitWhen(text, now = new Date()) {
+  const { when, spans, src } = analyze(text, now);
+  if (!when) return { when: null, rest: String(text || "").trim() };
+
+  const drop = new Set();
+  for (const [a, b] of spans) {
+    for (const o of src.origin.slice(a, b)) if (o) for (let k = o[0]; k <= o[1]; k++) drop.add(k);
+  }
+
+  const filler = (w) => FILLER_WORDS.has(String(w || "").toLowerCase().replace(/[,.]/g, ""));
+  let grew = true;
+  while (grew) {
+    grew = false;
+    src.words.forEach((w, k) => {
+      if (!drop.has(k) && filler(w) && (drop.has(k - 1) || drop.has(k + 1))) {
+        drop.add(k);
+        grew = true;
+      }
+    });
+  }
+
+  const rest = src.words
+    .filter((_, k) => !drop.has(k))
+    .join(" ")
+    .replace(/^[\s,.]+|[\s,.]+$/g, "")
+    .trim();
+  return { when, rest };
+}
@@ -1,39 +1,126 @@
-import OpenAI from "openai";
 import { retrieve } from "./retrieve.mjs";
+import { getTenant } from "../tenants/tenants.mjs";
+import { complete } from "../providers/providers.mjs";
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-export async function answerFromKB(userQuestion) {
-  const top = await retrieve(userQuestion, 3);
+function contactLine(tenant) {
+  const { email, phone } = tenant.contact || {};
+  const parts = [email, phone].filter(Boolean);
+  return parts.length ? `You can reach admissions at ${parts.join(" or ")}.` : "";
+}
 
-  const context = top
-    .map((x, i) => `Source ${i + 1}: ${x.title}\n${x.text}`)
-    .join("\n\n");
+function notFound(tenant) {
+  return `I may not have that information in my knowledge base yet. ${contactLine(tenant)}`.trim();
+}
 
-  const system = `
-You are an admissions assistant for SKSSCBS.
+function systemPrompt(tenant) {
+  const { email, phone } = tenant.contact || {};
+  const rules = (tenant.promptRules || []).map((r) => `- ${r}`).join("\n");
+  return `
+You are an admissions assistant for ${tenant.name || tenant.id}.
 
 RULES:
-- Answer ONLY using the provided Sources.
-- Keep answers short (2–3 sentences).
+${rules}
 - If answer not found, say:
 "I may not have that information in my knowledge base yet."
 Then share:
-admissions@somaiya.edu
-+91 7028233777
+${[email, phone].filter(Boolean).join("\n")}
+- After the answer, add one last line listing the Source numbers you used, like:
+CITED: 1, 3
+or, if the Sources did not contain the answer:
+CITED: none
 `;
+}
+
+// Model ends its reply with "CITED: 1, 3" or "CITED: none"; this line is never spoken
+const CITED_RE = /\n?\s*CITED:\s*([^\n]*)\s*$/i;
+
+function parseCited(raw, count) {
+  const m = String(raw || "").match(CITED_RE);
+  const answer = String(raw || "").replace(CITED_RE, "").trim();
+  if (!m) return { answer, cited: null };
+
+  const nums = (m[1].match(/\d+/g) || []).map(Number).filter((n) => n >= 1 && n <= count);
+  return { answer, cited: [...new Set(nums)] };
+}
+
+// ---------- Follow-ups ----------
+// "what about its fees?" -> "What are the fees for M.Com?" using the recent turns.
+// Retrieval needs a standalone query; on any failure the original question is used.
+export async function rewriteQuery(userQuestion, history = []) {
+  const recent = history.slice(-6);
+  if (!recent.length) return userQuestion;
 
-  const resp = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
+  try {
+    const convo = recent.map((m) => `${m.role.toUpperCase()}: ${m.content}`).join("\n");
+    const out = (
+      await complete({
+        task: "rewrite_query",
+        temperature: 0,
+        data: { question: userQuestion, history: recent },
+        messages: [
+          {
+            role: "system",
+            content:
+              "Rewrite the caller's latest question as a standalone search query, resolving words like " +
+              "'it', 'its', 'that course' from the conversation. If it is already standalone, return it unchanged. " +
+              "Reply with the query only.",
+          },
+          { role: "user", content: `CONVERSATION:\n${convo}\n\nLATEST QUESTION: ${userQuestion}` },
+        ],
+      })
+    ).replace(/^"|"$/g, "");
+    return out || userQuestion;
+  } catch (e) {
+    console.error("Query rewrite failed:", e?.message);
+    return userQuestion;
+  }
+}
+
+// -> { answer, query, grounded, citations, retrieved }
+//   answer:    text to speak
+//   query:     standalone query used for retrieval (differs from the question for follow-ups)
+//   grounded:  true when at least one KB chunk backs the answer
+//   citations: [{ id, sourceId, title, score }] chunks the model said it used
+//   retrieved: everything passed as context, with vector/keyword scores
+// tenant is a profile from tenants/tenants.json; its kbDir, contact and rules are used.
+// history is the call's recent [{ role, content }] turns, oldest first.
+export async function answerFromKB(userQuestion, tenant = getTenant(), history = []) {
+  const query = await rewriteQuery(userQuestion, history);
+  const top = await retrieve(query, 3, { kbDir: tenant.kbDir });
+  const retrieved = top.map(({ text, ...rest }) => rest);
+
+  // Nothing cleared the relevance threshold: skip the model, don't guess
+  if (!top.length) return { answer: notFound(tenant), query, grounded: false, citations: [], retrieved };
+
+  const context = top
+    .map((x, i) => `Source ${i + 1}: ${x.title}\n${x.text}`)
+    .join("\n\n");
+
+  const system = systemPrompt(tenant);
+
+  const raw = await complete({
+    task: "kb_answer",
     temperature: 0.2,
+    data: { question: query, sources: top, notFound: notFound(tenant) },
     messages: [
       { role: "system", content: system },
+      ...history.slice(-6),
       {
         role: "user",
-        content: `User question: ${userQuestion}\n\nSOURCES:\n${context}`,
+        content:
+          `User question: ${userQuestion}\n` +
+          (query !== userQuestion ? `(Interpreted as: ${query})\n` : "") +
+          `\nSOURCES:\n${context}`,
       },
     ],
   });
 
-  return resp.choices[0].message.content;
+  const { answer, cited } = parseCited(raw, top.length);
+
+  // No CITED line at all: fall back to "everything passed in", unless it is the not-found reply
+  const saidNotFound = /may not have that information/i.test(answer);
+  const used = cited ?? (saidNotFound ? [] : top.map((_, i) => i + 1));
+  const citations = used.map((n) => retrieved[n - 1]).map(({ id, sourceId, title, score }) => ({ id, sourceId, title, score }));
+
+  return { answer, query, grounded: citations.length > 0, citations, retrieved };
 }
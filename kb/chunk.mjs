@@ -0,0 +1,181 @@
+// ---------- Structure-aware chunking ----------
+// Text is parsed into blocks (headings, list/table rows, paragraphs), paragraphs are
+// split on sentence boundaries, and the pieces are packed into chunks that never
+// cross a section heading. Each chunk carries the heading it sits under.
+
+const MIN_CHUNK_CHARS = 40; // shorter bodies are merged into a neighbouring chunk, not indexed alone
+
+function isHeading(line, next) {
+  if (/^#{1,6}\s+\S/.test(line)) return true;
+  if (line.length > 80 || /[.,;!?]$/.test(line)) return false;
+
+  const words = line.split(/\s+/);
+  if (words.length > 10) return false;
+
+  // "3. Fee Structure", "2.1 Hostel"
+  if (/^\d+(\.\d+)*\.?\s+[A-Z]/.test(line) && words.length <= 8) return true;
+  // "ADMISSION PROCESS"
+  if (/[A-Z]/.test(line) && line === line.toUpperCase() && /[A-Z]{3,}/.test(line)) return true;
+  // "Hostel Facilities:" / "Eligibility Criteria" followed by body text
+  if (/:$/.test(line)) return true;
+  const capitalised = words.filter((w) => /^[A-Z0-9(&]/.test(w)).length;
+  return capitalised / words.length >= 0.75 && !!next && !/^[-*•]/.test(line);
+}
+
+function isRow(line) {
+  return (
+    /^([-*•▪◦]|\d+[.)]|[a-z][.)])\s+/.test(line) || // list items
+    /\|/.test(line) || // markdown / pipe tables
+    /\t/.test(line) || // tab-separated tables
+    /\S {3,}\S/.test(line) // space-aligned columns from PDFs
+  );
+}
+
+function cleanHeading(line) {
+  return line.replace(/^#{1,6}\s+/, "").replace(/:$/, "").trim();
+}
+
+// -> [{ type: "heading" | "row" | "para", text }]
+function parseBlocks(text) {
+  const lines = String(text || "")
+    .replace(/\r/g, "")
+    .split("\n")
+    .map((l) => l.replace(/\s+$/, ""));
+
+  const blocks = [];
+  let para = [];
+  const flush = () => {
+    if (para.length) blocks.push({ type: "para", text: para.join(" ").replace(/\s+/g, " ").trim() });
+    para = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) {
+      flush();
+      continue;
+    }
+    const next = (lines[i + 1] || "").trim();
+
+    // rows first: a short table row ("B.Com   85,000") would otherwise pass as a heading.
+    // A numbered line is a heading, not a list item, when body text (not another item) follows.
+    const numberedHeading = /^\d+(\.\d+)*\.?\s/.test(line) && next && !isRow(lines[i + 1]) && isHeading(line, next);
+    if (isRow(lines[i]) && !/^#/.test(line) && !numberedHeading) {
+      flush();
+      blocks.push({ type: "row", text: line });
+    } else if (!para.length && isHeading(line, next)) {
+      blocks.push({ type: "heading", text: cleanHeading(line) });
+    } else {
+      para.push(line);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?।])\s+(?=["'(\[]?[A-Z0-9\u0900-\u097F])/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Last resort for a single sentence longer than maxChars: cut at word boundaries
+function splitWords(text, maxChars) {
+  const out = [];
+  let cur = "";
+  for (const w of text.split(/\s+/)) {
+    if (cur && cur.length + 1 + w.length > maxChars) {
+      out.push(cur);
+      cur = w;
+    } else {
+      cur = cur ? `${cur} ${w}` : w;
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// -> [{ heading, text }]
+export function chunkText(text, opts = {}) {
+  const {
+    maxChars = 900, // small chunk = faster + better retrieval
+    overlap = 120, // carry the previous sentence/row forward if it is at most this long
+  } = opts;
+
+  const chunks = [];
+  let heading = null;
+  let units = []; // { text, sep }
+  let size = 0;
+  let sectionStart = 0; // index of the current section's first chunk
+  let carried = false; // units[0] repeats the end of the previous chunk (overlap)
+  let pending = null; // { heading, text }: short text waiting for the next chunk
+
+  // A short body ("Fee Structure: B.Com 85,000") is often the fact callers ask for:
+  // it joins the previous chunk of its section, else the previous chunk with its
+  // heading as a line, else the next chunk. Only empty text is dropped.
+  const join = (list) => list.map((u, i) => (i ? u.sep : "") + u.text).join("").trim();
+  const emit = () => {
+    const body = join(units);
+    if (!body) return;
+    const last = chunks[chunks.length - 1];
+    if (body.length >= MIN_CHUNK_CHARS) {
+      chunks.push({ heading, text: pending ? `${pending.text}\n\n${body}` : body });
+      pending = null;
+    } else if (last && chunks.length > sectionStart) {
+      last.text += `\n${join(carried ? units.slice(1) : units)}`;
+    } else {
+      const labelled = heading ? `${heading}\n${body}` : body;
+      if (last) last.text += `\n\n${labelled}`;
+      else pending = pending ? { ...pending, text: `${pending.text}\n\n${labelled}` } : { heading, text: labelled };
+    }
+  };
+
+  const add = (piece, sep) => {
+    if (size && size + sep.length + piece.length > maxChars) {
+      emit();
+      const last = units[units.length - 1];
+      units = last && last.text.length <= overlap && last.text.length + piece.length < maxChars ? [last] : [];
+      carried = units.length > 0;
+      size = units.reduce((n, u) => n + u.text.length, 0);
+    }
+    units.push({ text: piece, sep });
+    size += (units.length > 1 ? sep.length : 0) + piece.length;
+  };
+
+  const closeSection = () => {
+    if (units.length) emit();
+    units = [];
+    size = 0;
+    carried = false;
+    sectionStart = chunks.length;
+  };
+
+  for (const block of parseBlocks(text)) {
+    if (block.type === "heading") {
+      closeSection();
+      heading = block.text;
+      continue;
+    }
+
+    if (block.type === "row") {
+      for (const piece of block.text.length > maxChars ? splitWords(block.text, maxChars) : [block.text]) {
+        add(piece, "\n");
+      }
+      continue;
+    }
+
+    // paragraph: start on a fresh line, keep sentences whole
+    splitSentences(block.text).forEach((sentence, i) => {
+      const sep = i === 0 ? "\n\n" : " ";
+      for (const piece of sentence.length > maxChars ? splitWords(sentence, maxChars) : [sentence]) {
+        add(piece, sep);
+      }
+    });
+  }
+  closeSection();
+  // The whole document was shorter than one chunk
+  if (pending) chunks.push(pending);
+
+  return chunks;
+}
@@ -0,0 +1,127 @@
+import fs from "fs";
+import path from "path";
+import { retrieve } from "./retrieve.mjs";
+import { answerFromKB } from "./answer.mjs";
+import { getTenant } from "../tenants/tenants.mjs";
+
+// Runs the golden question set against the live KB and reports
+// recall@k, MRR and answer-fact coverage. Exits 1 on a regression.
+//
+//   node kb/eval.mjs                      # retrieval + answers
+//   node kb/eval.mjs --retrieval-only     # no chat-model calls
+//   node kb/eval.mjs --save-baseline      # accept current scores as the new baseline
+//   node kb/eval.mjs --golden=path.json --tenant=<id> --k=5
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((a) => {
+    const [k, v] = a.replace(/^--/, "").split("=");
+    return [k, v ?? true];
+  })
+);
+
+const EVAL_DIR = path.join(process.cwd(), "kb", "eval");
+const GOLDEN_PATH = args.golden || path.join(EVAL_DIR, "golden.json");
+const BASELINE_PATH = args.baseline || GOLDEN_PATH.replace(/\.json$/, ".baseline.json");
+const TOLERANCE = Number(args.tolerance ?? 0.02); // allowed drop vs. baseline
+
+const golden = JSON.parse(fs.readFileSync(GOLDEN_PATH, "utf8"));
+const tenant = getTenant(args.tenant || golden.tenant);
+const k = Number(args.k || golden.k || 3);
+const withAnswers = !args["retrieval-only"];
+
+// A hit is a chunk whose id or source id is listed in expected
+function isHit(item, expected) {
+  return expected.includes(item.id) || expected.includes(item.sourceId);
+}
+
+// Facts match as whole words in order, ignoring case and punctuation: "NAAC A" is
+// found in "NAAC ‘A’-accredited" and "NAAC A grade", but not in "a NAAC college"
+function words(s) {
+  return String(s).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function hasFact(answerWords, fact) {
+  const want = words(fact);
+  return want.length > 0 && answerWords.some((_, i) => want.every((w, j) => answerWords[i + j] === w));
+}
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+}
+
+async function evalQuestion(q) {
+  const expected = q.expected || [];
+  const top = await retrieve(q.question, k, { kbDir: tenant.kbDir });
+
+  const found = expected.filter((id) => top.some((x) => x.id === id || x.sourceId === id));
+  const recall = expected.length ? found.length / expected.length : 1;
+  const rank = top.findIndex((x) => isHit(x, expected));
+  const rr = rank >= 0 ? 1 / (rank + 1) : 0;
+
+  let coverage = null;
+  let answer = null;
+  let missingFacts = [];
+  if (withAnswers && (q.facts || []).length) {
+    answer = (await answerFromKB(q.question, tenant)).answer;
+    const answerWords = words(answer);
+    missingFacts = q.facts.filter((f) => !hasFact(answerWords, f));
+    coverage = (q.facts.length - missingFacts.length) / q.facts.length;
+  }
+
+  return { id: q.id, question: q.question, recall, rr, coverage, top: top.map((x) => x.id), missingFacts, answer };
+}
+
+async function run() {
+  console.log(`Golden set v${golden.version} (${golden.questions.length} questions), tenant=${tenant.id}, k=${k}\n`);
+
+  const results = [];
+  for (const q of golden.questions) {
+    const r = await evalQuestion(q);
+    results.push(r);
+
+    const flag = r.recall < 1 || r.missingFacts.length ? "✗" : "✓";
+    console.log(
+      `${flag} ${r.id}  recall=${r.recall.toFixed(2)} rr=${r.rr.toFixed(2)}` +
+        (r.coverage === null ? "" : ` facts=${r.coverage.toFixed(2)}`) +
+        `  top=[${r.top.join(", ")}]`
+    );
+    if (r.missingFacts.length) console.log(`    missing facts: ${r.missingFacts.join(", ")}`);
+  }
+
+  const scores = {
+    recallAtK: mean(results.map((r) => r.recall)),
+    mrr: mean(results.map((r) => r.rr)),
+    ...(withAnswers ? { factCoverage: mean(results.filter((r) => r.coverage !== null).map((r) => r.coverage)) } : {}),
+  };
+
+  console.log("\nSCORES:");
+  for (const [name, v] of Object.entries(scores)) console.log(`  ${name}: ${v.toFixed(3)}`);
+
+  // Regressions: below the golden set's floor, or below the saved baseline by more than TOLERANCE
+  const baseline = fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, "utf8")) : null;
+  const failures = [];
+  for (const [name, v] of Object.entries(scores)) {
+    const floor = golden.thresholds?.[name];
+    if (floor != null && v < floor) failures.push(`${name} ${v.toFixed(3)} < threshold ${floor}`);
+    const base = baseline?.goldenVersion === golden.version ? baseline.scores?.[name] : null;
+    if (base != null && v < base - TOLERANCE) failures.push(`${name} ${v.toFixed(3)} < baseline ${base.toFixed(3)}`);
+  }
+
+  if (args["save-baseline"]) {
+    const out = { goldenVersion: golden.version, tenant: tenant.id, k, savedAt: new Date().toISOString(), scores };
+    fs.writeFileSync(BASELINE_PATH, JSON.stringify(out, null, 2));
+    console.log("\nSaved baseline:", BASELINE_PATH);
+  }
+
+  if (failures.length) {
+    console.error("\nREGRESSION:");
+    for (const f of failures) console.error(`  - ${f}`);
+    process.exit(1);
+  }
+  console.log("\nOK");
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,301 @@
+import { PDFParse } from "pdf-parse";
+import mammoth from "mammoth";
+import JSZip from "jszip";
+
+// ---------- Errors ----------
+// status is used by the upload route as the HTTP status
+function unsupported(message) {
+  const err = new Error(message);
+  err.status = 415;
+  return err;
+}
+
+// A corrupt file, or one that is not what its extension says (a .docx that is not a zip)
+function unreadable(ext, cause) {
+  const err = new Error(`Could not read this ${ext.slice(1).toUpperCase()} file; it may be corrupt. Re-save it and upload again.`, { cause });
+  err.status = 422;
+  return err;
+}
+
+// Parser errors become a 422 instead of the library's own message
+async function parseWith(ext, parse) {
+  try {
+    return await parse();
+  } catch (e) {
+    throw unreadable(ext, e);
+  }
+}
+
+const BINARY_EXTS = [
+  ".doc", ".xls", ".ppt", ".odt", ".ods", ".odp", ".rtf", ".zip", ".rar", ".7z", ".gz",
+  ".png", ".jpg", ".jpeg", ".gif", ".webp", ".bmp", ".mp3", ".wav", ".mp4", ".mov", ".exe",
+];
+
+function extOf(name) {
+  const m = String(name || "").toLowerCase().match(/\.[a-z0-9]+$/);
+  return m ? m[0] : "";
+}
+
+// ---------- Shared helpers ----------
+function decodeEntities(s) {
+  return String(s || "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function tidy(text) {
+  return String(text || "")
+    .replace(/\r/g, "")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ---------- PDF / DOCX ----------
+async function fromPdf(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const out = await parser.getText();
+    return tidy(String(out.text || "").replace(/^-- \d+ of \d+ --$/gm, "")); // page markers
+  } finally {
+    await parser.destroy();
+  }
+}
+
+async function fromDocx(buffer) {
+  const out = await mammoth.extractRawText({ buffer });
+  return tidy(out.value);
+}
+
+// ---------- HTML ----------
+// Drops page chrome (nav, header, footer, scripts) and keeps headings/lists/tables
+// in a shape the chunker understands.
+export function htmlToText(html) {
+  let s = String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|svg|iframe|template)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<(nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, "");
+
+  const main = s.match(/<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/i);
+  if (main) s = main[2];
+  else {
+    const body = s.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i);
+    if (body) s = body[1];
+  }
+
+  s = s
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, n, inner) => `\n\n${"#".repeat(Number(n))} ${inner.replace(/<[^>]+>/g, " ").trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/(td|th)>\s*/gi, " | ")
+    .replace(/<tr\b[^>]*>/gi, "\n")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|section|ul|ol|table|blockquote|dd|dt)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "");
+
+  return tidy(
+    decodeEntities(s)
+      .split("\n")
+      .map((l) => l.replace(/[ \t]+/g, " ").replace(/\s*\|\s*$/, "").trim())
+      .join("\n")
+  );
+}
+
+// ---------- Markdown ----------
+export function markdownToText(md) {
+  return tidy(
+    String(md || "")
+      .replace(/^---\n[\s\S]*?\n---\n/, "") // front matter
+      .replace(/```[^\n]*\n/g, "")
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+      .replace(/^[ \t]*\|?[ \t]*:?-{3,}:?[ \t]*(\|[ \t]*:?-{3,}:?[ \t]*)*\|?[ \t]*(\n|$)/gm, "") // table separator rows
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/(^|[^*\w])[*_]([^*_\n]+)[*_](?=[^*\w]|$)/g, "$1$2")
+      .replace(/`([^`]+)`/g, "$1")
+      .replace(/^>\s?/gm, "")
+  );
+}
+
+// ---------- CSV / XLSX (FAQ sheets) ----------
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n") {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else if (ch !== "\r") cell += ch;
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function guessDelimiter(text) {
+  const firstLine = text.split("\n")[0] || "";
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+// Column letters -> index ("A" -> 0, "AB" -> 27)
+function colIndex(ref) {
+  const letters = String(ref || "").replace(/\d+/g, "");
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function xmlTexts(xml, tag) {
+  const re = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, "g");
+  return [...String(xml || "").matchAll(re)].map((m) => decodeEntities(m[1]));
+}
+
+function byNumber(a, b) {
+  return Number(a.match(/(\d+)\.xml$/)?.[1] || 0) - Number(b.match(/(\d+)\.xml$/)?.[1] || 0);
+}
+
+async function xlsxRows(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const sharedXml = await zip.file("xl/sharedStrings.xml")?.async("string");
+  const shared = [...String(sharedXml || "").matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map((m) => xmlTexts(m[1], "t").join(""));
+
+  const sheetFiles = Object.keys(zip.files).filter((f) => /^xl\/worksheets\/sheet\d+\.xml$/.test(f)).sort(byNumber);
+  const rows = [];
+
+  for (const f of sheetFiles) {
+    const xml = await zip.file(f).async("string");
+    for (const r of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      const row = [];
+      for (const c of r[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attrs = c[1];
+        const inner = c[2] || "";
+        const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+        const type = attrs.match(/\bt="(\w+)"/)?.[1];
+        let value = "";
+        if (type === "s") value = shared[Number(xmlTexts(inner, "v")[0])] || "";
+        else if (type === "inlineStr") value = xmlTexts(inner, "t").join("");
+        else value = xmlTexts(inner, "v")[0] || "";
+        row[ref ? colIndex(ref) : row.length] = value;
+      }
+      rows.push(Array.from(row, (v) => v || ""));
+    }
+  }
+  return rows;
+}
+
+// Each question/answer row becomes one KB item. Extra columns (e.g. category) are appended.
+export function rowsToItems(rows) {
+  const clean = rows.map((r) => r.map((c) => String(c || "").replace(/\s+/g, " ").trim())).filter((r) => r.some(Boolean));
+  if (!clean.length) return [];
+
+  const header = clean[0].map((h) => h.toLowerCase());
+  let qCol = header.findIndex((h) => /^(q|question|questions|query|faq)\b/.test(h));
+  let aCol = header.findIndex((h) => /^(a|answer|answers|response|reply)\b/.test(h));
+  const hasHeader = qCol >= 0 && aCol >= 0;
+  if (!hasHeader) {
+    qCol = 0;
+    aCol = 1;
+  }
+
+  const labels = hasHeader ? clean[0] : [];
+  return clean.slice(hasHeader ? 1 : 0).flatMap((r) => {
+    const question = r[qCol];
+    const answer = r[aCol];
+    if (!question || !answer) return [];
+
+    const extra = r
+      .map((v, i) => (i === qCol || i === aCol || !v ? null : `${labels[i] || `Column ${i + 1}`}: ${v}`))
+      .filter(Boolean);
+    return [{ title: question, text: [answer, ...extra].join("\n") }];
+  });
+}
+
+// ---------- PPTX ----------
+// One section per slide; the first paragraph (the slide title) becomes the heading
+async function fromPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const slideFiles = Object.keys(zip.files).filter((f) => /^ppt\/slides\/slide\d+\.xml$/.test(f)).sort(byNumber);
+
+  const sections = [];
+  for (const [i, f] of slideFiles.entries()) {
+    const xml = await zip.file(f).async("string");
+    const paras = [...xml.matchAll(/<a:p\b[^>]*>([\s\S]*?)<\/a:p>/g)]
+      .map((m) => xmlTexts(m[1], "a:t").join("").trim())
+      .filter(Boolean);
+    if (!paras.length) continue;
+    const [title, ...body] = paras;
+    sections.push(`# ${title || `Slide ${i + 1}`}\n\n${body.map((p) => `- ${p}`).join("\n")}`);
+  }
+  return tidy(sections.join("\n\n"));
+}
+
+// ---------- Plain text ----------
+function looksBinary(buffer) {
+  const head = buffer.subarray(0, 8192);
+  if (head.includes(0)) return true;
+  const text = head.toString("utf8");
+  const bad = (text.match(/\uFFFD/g) || []).length;
+  return bad > text.length * 0.05;
+}
+
+// ---------- Entry point ----------
+// -> { text } for prose documents, { items: [{ title, text }] } for FAQ sheets
+export async function extractFromBuffer(buffer, originalName = "") {
+  const ext = extOf(originalName);
+
+  switch (ext) {
+    case ".pdf":
+      return { text: await parseWith(ext, () => fromPdf(buffer)) };
+    case ".docx":
+      return { text: await parseWith(ext, () => fromDocx(buffer)) };
+    case ".pptx":
+      return { text: await parseWith(ext, () => fromPptx(buffer)) };
+    case ".html":
+    case ".htm":
+      return { text: htmlToText(buffer.toString("utf8")) };
+    case ".md":
+    case ".markdown":
+      return { text: markdownToText(buffer.toString("utf8")) };
+    case ".csv":
+    case ".tsv": {
+      const raw = buffer.toString("utf8").replace(/^\uFEFF/, "");
+      return { items: rowsToItems(parseCsv(raw, ext === ".tsv" ? "\t" : guessDelimiter(raw))) };
+    }
+    case ".xlsx":
+      return { items: rowsToItems(await parseWith(ext, () => xlsxRows(buffer))) };
+  }
+
+  if (BINARY_EXTS.includes(ext) || looksBinary(buffer)) {
+    throw unsupported(
+      `Unsupported file type${ext ? ` (${ext})` : ""}. Upload PDF, DOCX, PPTX, HTML, Markdown, CSV, XLSX or plain text.`
+    );
+  }
+
+  // fallback: treat as txt
+  return { text: tidy(buffer.toString("utf8")) };
+}
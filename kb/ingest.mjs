@@ -1,104 +1,107 @@
 import fs from "fs";
 import path from "path";
-import * as pdfParse from "pdf-parse";
-import mammoth from "mammoth";
-import OpenAI from "openai";
+import { DEFAULT_KB_DIR, sourceIdFromName, upsertSource, getSource, updateChunk } from "./store.mjs";
+import { chunkText } from "./chunk.mjs";
+import { extractFromBuffer } from "./extract.mjs";
+import { embed } from "../providers/providers.mjs";
 
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-const KB_DIR = path.join(process.cwd(), "kb");
-const KB_JSON = path.join(KB_DIR, "kb.json");
-const KB_VECTORS = path.join(KB_DIR, "kb_vectors.json");
+export { chunkText };
 
 // ---------- Text extract ----------
-export async function extractTextFromBuffer(buffer, originalName = "") {
-  const name = originalName.toLowerCase();
+// Prose formats come back as text; FAQ sheets (CSV/XLSX) as question/answer items
+export { extractFromBuffer };
 
-  if (name.endsWith(".pdf")) {
-  const data = await pdfParse.default(buffer);
-  return (data.text || "").trim();
-  }
+export async function extractTextFromBuffer(buffer, originalName = "") {
+  const out = await extractFromBuffer(buffer, originalName);
+  if (out.items) return out.items.map((x) => `${x.title}\n${x.text}`).join("\n\n");
+  return out.text;
+}
 
-  if (name.endsWith(".docx")) {
-    const out = await mammoth.extractRawText({ buffer });
-    return (out.value || "").trim();
-  }
+// ---------- Embeddings ----------
+// Embed in batches (faster + safer)
+async function embedItems(items) {
+  const out = [];
+  const batchSize = 32;
 
-  // fallback: treat as txt/markdown
-  return buffer.toString("utf8").trim();
-}
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    const { vectors, model } = await embed(batch.map((x) => `${x.title}\n${x.text}`));
 
-// ---------- Chunking ----------
-export function chunkText(text, opts = {}) {
-  const {
-    maxChars = 900,   // small chunk = faster + better retrieval
-    overlap = 120
-  } = opts;
-
-  const clean = String(text || "")
-    .replace(/\r/g, "")
-    .replace(/\n{3,}/g, "\n\n")
-    .trim();
-
-  const chunks = [];
-  let i = 0;
-
-  while (i < clean.length) {
-    const end = Math.min(i + maxChars, clean.length);
-    const slice = clean.slice(i, end);
-    chunks.push(slice);
-    if (end === clean.length) break;
-    i = Math.max(0, end - overlap);
+    for (let j = 0; j < batch.length; j++) {
+      out.push({
+        ...batch[j],
+        embedding: vectors[j],
+        embeddingModel: model,
+      });
+    }
   }
 
-  return chunks
-    .map((c) => c.trim())
-    .filter((c) => c.length >= 40); // drop tiny junk
+  return out;
 }
 
 // ---------- Build KB + vectors ----------
-export async function buildKbFromText({ sourceName, text }) {
-  if (!fs.existsSync(KB_DIR)) fs.mkdirSync(KB_DIR, { recursive: true });
-
-  const chunks = chunkText(text);
+// Adds the document as its own source; re-uploading the same file name replaces it.
+// Pass items ([{ title, text }]) instead of text to keep pre-split FAQ rows as-is.
+export async function buildKbFromText({ sourceName, text, items, kbDir = DEFAULT_KB_DIR }) {
+  const dir = path.join(process.cwd(), kbDir);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const chunks = items
+    ? items.map((x) => ({ heading: x.title, text: x.text }))
+    : chunkText(text);
   if (!chunks.length) throw new Error("No usable text found after parsing/chunking.");
 
   // Create KB items
-  const kb = chunks.map((chunk, idx) => ({
-    id: `${Date.now()}_${idx}`,
-    title: `${sourceName} - chunk ${idx + 1}`,
-    text: chunk,
-    source: sourceName,
-  }));
-
-  // Embed in batches (faster + safer)
-  const vectors = [];
-  const batchSize = 32;
+  const sourceId = sourceIdFromName(sourceName);
+  // Title = nearest section heading ("Fee Structure (part 2)" when a section spans chunks)
+  const seen = new Map();
+  const kb = chunks.map((chunk, idx) => {
+    const part = (seen.get(chunk.heading) || 0) + 1;
+    seen.set(chunk.heading, part);
+    const title = chunk.heading
+      ? `${chunk.heading}${part > 1 ? ` (part ${part})` : ""}`
+      : `${sourceName} - chunk ${idx + 1}`;
+
+    return {
+      id: `${sourceId}_${idx + 1}`,
+      title,
+      text: chunk.text,
+      source: sourceName,
+    };
+  });
+
+  const vectors = await embedItems(kb);
+
+  const { source, replaced, ...index } = upsertSource({
+    name: sourceName,
+    chunks: vectors,
+    meta: { extractedChars: kb.reduce((n, x) => n + x.text.length, 0) },
+    kbDir,
+  });
 
-  for (let i = 0; i < kb.length; i += batchSize) {
-    const batch = kb.slice(i, i + batchSize);
-    const inputs = batch.map((x) => `${x.title}\n${x.text}`);
-
-    const emb = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input: inputs,
-    });
+  return {
+    sourceId: source.id,
+    replaced,
+    chunkCount: vectors.length,
+    ...index,
+  };
+}
 
-    for (let j = 0; j < batch.length; j++) {
-      vectors.push({
-        ...batch[j],
-        embedding: emb.data[j].embedding,
-      });
-    }
+// ---------- Edit one chunk ----------
+// Re-embeds the chunk so retrieval matches the corrected text
+export async function editChunk({ sourceId, chunkId, text, title, kbDir = DEFAULT_KB_DIR }) {
+  const src = getSource(sourceId, kbDir);
+  const prev = (src?.chunks || []).find((c) => c.id === chunkId);
+  if (!prev) return null;
+
+  const nextText = text != null ? String(text).trim() : prev.text;
+  const nextTitle = title != null ? String(title).trim() : prev.title;
+  if (!nextText) {
+    const err = new Error("Chunk text cannot be empty.");
+    err.status = 400;
+    throw err;
   }
 
-  fs.writeFileSync(KB_JSON, JSON.stringify(kb, null, 2));
-  fs.writeFileSync(KB_VECTORS, JSON.stringify(vectors, null, 2));
-
-  return {
-    kbCount: kb.length,
-    kbJson: KB_JSON,
-    kbVectors: KB_VECTORS,
-  };
+  const [embedded] = await embedItems([{ title: nextTitle, text: nextText }]);
+  return updateChunk(sourceId, chunkId, embedded, kbDir);
 }
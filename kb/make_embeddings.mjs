@@ -1,8 +1,6 @@
 import fs from "fs";
 import path from "path";
-import OpenAI from "openai";
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+import { embed } from "../providers/providers.mjs";
 
 const KB_PATH = path.join(process.cwd(), "kb", "sksscbs_kb.json");
 const OUT_PATH = path.join(process.cwd(), "kb", "sksscbs_vectors.json");
@@ -13,12 +11,9 @@ async function run() {
   const out = [];
   for (const item of kb) {
     const input = `${item.title}\n${item.text}`;
-    const emb = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input
-    });
+    const { vectors, model } = await embed([input]);
 
-    out.push({ ...item, embedding: emb.data[0].embedding });
+    out.push({ ...item, embedding: vectors[0], embeddingModel: model });
     console.log("Embedded:", item.id);
   }
 
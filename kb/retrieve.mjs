@@ -1,11 +1,115 @@
 import fs from "fs";
 import path from "path";
-import OpenAI from "openai";
+import crypto from "crypto";
+import { DEFAULT_KB_DIR } from "./store.mjs";
+import { tokenize } from "./tokenize.mjs";
+import { embed, LEGACY_EMBEDDING_MODEL } from "../providers/providers.mjs";
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+function vecPath(kbDir) {
+  return path.join(process.cwd(), kbDir, "kb_vectors.json");
+}
+
+// Fused score = VECTOR_WEIGHT * cosine + (1 - VECTOR_WEIGHT) * keyword
+const VECTOR_WEIGHT = Number(process.env.KB_VECTOR_WEIGHT || 0.7);
+// Matches below this fused score are dropped, so weak questions get an empty context
+const MIN_SCORE = Number(process.env.KB_MIN_SCORE || 0.25);
+
+// ---------- Keyword scoring (BM25) ----------
+function buildKeywordIndex(vectors) {
+  const docs = vectors.map((item) => {
+    const tf = new Map();
+    const terms = tokenize(`${item.title || ""} ${item.text || ""}`);
+    for (const w of terms) tf.set(w, (tf.get(w) || 0) + 1);
+    return { tf, len: terms.length };
+  });
+
+  const df = new Map();
+  for (const d of docs) for (const w of d.tf.keys()) df.set(w, (df.get(w) || 0) + 1);
+
+  const avgLen = docs.reduce((n, d) => n + d.len, 0) / (docs.length || 1);
+  return { docs, df, avgLen, n: docs.length };
+}
+
+// Normalised to 0..1: BM25 relative to the best doc, scaled by how many query terms matched
+function keywordScores(kw, query, k1 = 1.2, b = 0.75) {
+  const qTerms = [...new Set(tokenize(query))];
+  if (!qTerms.length) return kw.docs.map(() => 0);
+
+  const raw = kw.docs.map((d) => {
+    let score = 0;
+    let hits = 0;
+    for (const w of qTerms) {
+      const f = d.tf.get(w);
+      if (!f) continue;
+      hits++;
+      const df = kw.df.get(w) || 0;
+      const idf = Math.log(1 + (kw.n - df + 0.5) / (df + 0.5));
+      score += idf * ((f * (k1 + 1)) / (f + k1 * (1 - b + (b * d.len) / (kw.avgLen || 1))));
+    }
+    return { score, coverage: hits / qTerms.length };
+  });
+
+  const max = Math.max(...raw.map((r) => r.score));
+  if (!(max > 0)) return raw.map(() => 0);
+  return raw.map((r) => (r.score / max) * r.coverage);
+}
+
+// ---------- Live index ----------
+// Replaced as a whole on reload; retrieve() keeps its own reference for the whole call
+const indexes = new Map(); // kbDir -> index (one per tenant KB)
+
+function loadIndex(kbDir) {
+  const file = vecPath(kbDir);
+  // A tenant with nothing uploaded yet has no vectors file: serve an empty index
+  if (!fs.existsSync(file)) {
+    return { version: "empty", vectors: [], keyword: buildKeywordIndex([]), mtimeMs: 0, loadedAt: new Date().toISOString() };
+  }
+
+  const stat = fs.statSync(file);
+  const raw = fs.readFileSync(file, "utf8");
+  const vectors = JSON.parse(raw);
+  if (!Array.isArray(vectors)) throw new Error("kb_vectors.json is not an array");
+
+  return {
+    version: crypto.createHash("sha1").update(raw).digest("hex").slice(0, 12),
+    vectors,
+    keyword: buildKeywordIndex(vectors),
+    mtimeMs: stat.mtimeMs,
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+// Re-read kb_vectors.json. On a bad read the previous index stays live.
+export function reloadIndex(kbDir = DEFAULT_KB_DIR) {
+  try {
+    indexes.set(kbDir, loadIndex(kbDir));
+  } catch (e) {
+    const prev = indexes.get(kbDir);
+    if (!prev) throw e;
+    console.error(`KB index reload failed for ${kbDir}, keeping version`, prev.version, "-", e?.message);
+  }
+  return getIndexInfo(kbDir);
+}
 
-const VEC_PATH = path.join(process.cwd(), "kb", "kb_vectors.json");
-const vectors = JSON.parse(fs.readFileSync(VEC_PATH, "utf8"));
+export function getIndexInfo(kbDir = DEFAULT_KB_DIR) {
+  if (!indexes.has(kbDir)) reloadIndex(kbDir);
+  const index = indexes.get(kbDir);
+  return { version: index.version, count: index.vectors.length, loadedAt: index.loadedAt };
+}
+
+// Picks up rebuilds done outside this process (e.g. make_embeddings.mjs)
+function currentIndex(kbDir) {
+  const index = indexes.get(kbDir);
+  if (!index) {
+    reloadIndex(kbDir);
+    return indexes.get(kbDir);
+  }
+  try {
+    const mtimeMs = fs.existsSync(vecPath(kbDir)) ? fs.statSync(vecPath(kbDir)).mtimeMs : 0;
+    if (mtimeMs !== index.mtimeMs) reloadIndex(kbDir);
+  } catch {}
+  return indexes.get(kbDir);
+}
 
 function cosineSim(a, b) {
   let dot = 0, na = 0, nb = 0;
@@ -17,20 +121,32 @@ function cosineSim(a, b) {
   return dot / (Math.sqrt(na) * Math.sqrt(nb));
 }
 
-export async function retrieve(query, k = 3) {
-  const emb = await openai.embeddings.create({
-    model: "text-embedding-3-small",
-    input: query,
-  });
-  const qVec = emb.data[0].embedding;
+// opts.kbDir picks the tenant KB; opts.minScore / opts.vectorWeight override the env defaults per call
+export async function retrieve(query, k = 3, opts = {}) {
+  const { vectors, keyword } = currentIndex(opts.kbDir || DEFAULT_KB_DIR);
+  if (!vectors.length) return [];
+  const minScore = opts.minScore ?? MIN_SCORE;
+  const vectorWeight = opts.vectorWeight ?? VECTOR_WEIGHT;
+
+  const { vectors: [qVec], model } = await embed([query]);
+  const kwScores = keywordScores(keyword, query);
 
-  const scored = vectors.map((item) => ({
-    id: item.id,
-    title: item.title,
-    text: item.text,
-    score: cosineSim(qVec, item.embedding),
-  }));
+  // Vectors from another embedding backend are not comparable: those chunks rank on keywords only
+  const scored = vectors.map((item, i) => {
+    const sameSpace = (item.embeddingModel || LEGACY_EMBEDDING_MODEL) === model;
+    const vectorScore = sameSpace ? cosineSim(qVec, item.embedding) : 0;
+    const keywordScore = kwScores[i];
+    return {
+      id: item.id,
+      title: item.title,
+      text: item.text,
+      sourceId: item.sourceId,
+      score: sameSpace ? vectorWeight * vectorScore + (1 - vectorWeight) * keywordScore : keywordScore,
+      vectorScore,
+      keywordScore,
+    };
+  });
 
   scored.sort((a, b) => b.score - a.score);
-  return scored.slice(0, k);
+  return scored.filter((x) => x.score >= minScore).slice(0, k);
 }
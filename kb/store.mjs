@@ -0,0 +1,178 @@
+import fs from "fs";
+import path from "path";
+
+// Each tenant has its own KB directory (relative to cwd); "kb" is the original single KB
+export const DEFAULT_KB_DIR = "kb";
+
+function kbPaths(kbDir = DEFAULT_KB_DIR) {
+  const dir = path.join(process.cwd(), kbDir);
+  return {
+    dir,
+    sourcesDir: path.join(dir, "sources"),
+    kbJson: path.join(dir, "kb.json"),
+    kbVectors: path.join(dir, "kb_vectors.json"),
+  };
+}
+
+// Items in kb_vectors.json that predate per-source tracking land here
+const SEED_SOURCE_ID = "seed";
+
+// ---------- Helpers ----------
+export function sourceIdFromName(name) {
+  const id = String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return id || "uploaded_file";
+}
+
+// Ids come from sourceIdFromName; anything else (e.g. "../") never reaches the filesystem
+function checkSourceId(sourceId) {
+  if (!/^[a-z0-9_]+$/.test(String(sourceId || ""))) {
+    const err = new Error(`Invalid source id: ${sourceId}`);
+    err.status = 400;
+    throw err;
+  }
+  return sourceId;
+}
+
+function sourcePath(sourceId, kbDir) {
+  return path.join(kbPaths(kbDir).sourcesDir, `${sourceId}.json`);
+}
+
+function readJson(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    const raw = fs.readFileSync(file, "utf8");
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// Write to a temp file and rename over the target, so readers never see a partial file
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// ---------- Seed migration ----------
+// First run after upgrading: split the old flat kb_vectors.json into source files
+function ensureSourcesDir(kbDir) {
+  const { sourcesDir, kbVectors } = kbPaths(kbDir);
+  if (fs.existsSync(sourcesDir)) return;
+  fs.mkdirSync(sourcesDir, { recursive: true });
+
+  const legacy = readJson(kbVectors, []);
+  const groups = new Map();
+  for (const item of legacy) {
+    const sourceId = item.source ? sourceIdFromName(item.source) : SEED_SOURCE_ID;
+    const g = groups.get(sourceId) || { name: item.source || "Seed KB", chunks: [] };
+    g.chunks.push({ ...item, source: g.name });
+    groups.set(sourceId, g);
+  }
+
+  const now = new Date().toISOString();
+  for (const [id, g] of groups) {
+    const doc = { id, name: g.name, uploadedAt: now, updatedAt: now, chunks: g.chunks };
+    writeJsonAtomic(sourcePath(id, kbDir), doc);
+  }
+}
+
+// ---------- Sources ----------
+export function listSources(kbDir = DEFAULT_KB_DIR) {
+  ensureSourcesDir(kbDir);
+  const { sourcesDir } = kbPaths(kbDir);
+  return fs
+    .readdirSync(sourcesDir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => readJson(path.join(sourcesDir, f), null))
+    .filter(Boolean)
+    .sort((a, b) => String(a.uploadedAt).localeCompare(String(b.uploadedAt)));
+}
+
+export function getSource(sourceId, kbDir = DEFAULT_KB_DIR) {
+  checkSourceId(sourceId);
+  ensureSourcesDir(kbDir);
+  return readJson(sourcePath(sourceId, kbDir), null);
+}
+
+// Add or replace a source (matched by id). chunks must already carry embeddings.
+export function upsertSource({ name, chunks, meta = {}, kbDir = DEFAULT_KB_DIR }) {
+  ensureSourcesDir(kbDir);
+  const id = sourceIdFromName(name);
+  const prev = getSource(id, kbDir);
+  const now = new Date().toISOString();
+
+  const doc = {
+    ...meta,
+    id,
+    name,
+    uploadedAt: prev?.uploadedAt || now,
+    updatedAt: now,
+    chunks,
+  };
+  writeJsonAtomic(sourcePath(id, kbDir), doc);
+  const index = rebuildIndex(kbDir);
+
+  return { source: doc, replaced: !!prev, ...index };
+}
+
+// Returns the new index stats, or null when the source does not exist
+export function removeSource(sourceId, kbDir = DEFAULT_KB_DIR) {
+  checkSourceId(sourceId);
+  ensureSourcesDir(kbDir);
+  const file = sourcePath(sourceId, kbDir);
+  if (!fs.existsSync(file)) return null;
+  fs.unlinkSync(file);
+  return rebuildIndex(kbDir);
+}
+
+// ---------- Chunks ----------
+export function searchChunks({ q = "", sourceId = null, limit = 50, kbDir = DEFAULT_KB_DIR } = {}) {
+  const needle = String(q || "").toLowerCase().trim();
+  const out = [];
+  for (const s of listSources(kbDir)) {
+    if (sourceId && s.id !== sourceId) continue;
+    for (const c of s.chunks || []) {
+      const hay = `${c.title || ""}\n${c.text || ""}`.toLowerCase();
+      if (needle && !hay.includes(needle)) continue;
+      const { embedding, ...rest } = c;
+      out.push({ ...rest, sourceId: s.id, source: s.name });
+      if (out.length >= limit) return out;
+    }
+  }
+  return out;
+}
+
+// patch must include the new embedding when text/title changed. Returns null if not found.
+export function updateChunk(sourceId, chunkId, patch, kbDir = DEFAULT_KB_DIR) {
+  const src = getSource(sourceId, kbDir);
+  const idx = (src?.chunks || []).findIndex((c) => c.id === chunkId);
+  if (idx < 0) return null;
+
+  const chunk = { ...src.chunks[idx], ...patch, editedAt: new Date().toISOString() };
+  src.chunks[idx] = chunk;
+  src.updatedAt = chunk.editedAt;
+  writeJsonAtomic(sourcePath(sourceId, kbDir), src);
+  const index = rebuildIndex(kbDir);
+
+  const { embedding, ...rest } = chunk;
+  return { chunk: { ...rest, sourceId, source: src.name }, ...index };
+}
+
+// ---------- Merged index ----------
+// kb.json / kb_vectors.json stay flat arrays so retrieve() can read them as before
+export function rebuildIndex(kbDir = DEFAULT_KB_DIR) {
+  const { kbJson, kbVectors } = kbPaths(kbDir);
+  const vectors = listSources(kbDir).flatMap((s) =>
+    (s.chunks || []).map((c) => ({ ...c, sourceId: s.id, source: s.name }))
+  );
+  const kb = vectors.map(({ embedding, ...rest }) => rest);
+
+  writeJsonAtomic(kbJson, kb);
+  writeJsonAtomic(kbVectors, vectors);
+
+  return { kbCount: kb.length, kbJson, kbVectors };
+}
@@ -1,8 +1,12 @@
 import { answerFromKB } from "./answer.mjs";
+import { getTenant } from "../tenants/tenants.mjs";
 
 const q = process.argv.slice(2).join(" ") || "Do you have hostel facility?";
-const ans = await answerFromKB(q);
+const res = await answerFromKB(q, getTenant(process.env.TENANT)); // TENANT=<id> to test another institution
 
 console.log("\nQUESTION:", q);
 console.log("\nANSWER:");
-console.log(ans);
+console.log(res.answer);
+console.log("\nGROUNDED:", res.grounded);
+console.log("CITATIONS:");
+for (const c of res.citations) console.log(`- [${c.sourceId}/${c.id}] ${c.title} (score ${c.score.toFixed(3)})`);
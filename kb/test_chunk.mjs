@@ -0,0 +1,45 @@
+import { chunkText } from "./chunk.mjs";
+
+// Regression cases for chunkText: node kb/test_chunk.mjs (exits 1 on a mismatch)
+const INTRO =
+  "SK Somaiya College offers undergraduate and postgraduate commerce programmes. Admissions open every June.";
+const HOSTEL = "Hostel Facilities:\nSeparate hostels for boys and girls are available on campus, with a mess and a reading room.";
+
+const CASES = [
+  {
+    name: "short section alone is kept",
+    text: "Fee Structure:\n- B.Com: 85,000\n- M.Com: 90,000",
+    want: (chunks) => chunks.length === 1 && chunks[0].heading === "Fee Structure" && chunks[0].text.includes("90,000"),
+  },
+  {
+    name: "short section joins the previous chunk under its heading",
+    text: `${INTRO}\n\nFee Structure:\n- B.Com: 85,000\n- M.Com: 90,000`,
+    want: (chunks) => chunks.length === 1 && chunks[0].text.includes("Fee Structure\n- B.Com: 85,000"),
+  },
+  {
+    name: "short first section joins the next chunk",
+    text: `Fee Structure:\n- B.Com: 85,000\n\n${HOSTEL}`,
+    want: (chunks) => chunks.length === 1 && chunks[0].heading === "Hostel Facilities" && chunks[0].text.startsWith("Fee Structure\n- B.Com"),
+  },
+  {
+    name: "short tail joins the previous chunk of its section",
+    text: `Hostel Facilities:\n${"Rooms are shared by two students and cleaned daily. ".repeat(3)}Fees: 60k.`,
+    opts: { maxChars: 160, overlap: 0 },
+    want: (chunks) => chunks.length === 1 && chunks[0].text.endsWith("Fees: 60k."),
+  },
+  {
+    name: "whitespace-only sections are dropped",
+    text: "Fee Structure:\n   \n\nHostel Facilities:\n",
+    want: (chunks) => chunks.length === 0,
+  },
+];
+
+let failed = 0;
+for (const { name, text, opts, want } of CASES) {
+  const chunks = chunkText(text, opts);
+  const ok = want(chunks);
+  if (!ok) failed++;
+  console.log(`${ok ? "ok  " : "FAIL"} ${name}${ok ? "" : ` -> ${JSON.stringify(chunks)}`}`);
+}
+console.log(`${CASES.length - failed}/${CASES.length} passed`);
+process.exit(failed ? 1 : 0);
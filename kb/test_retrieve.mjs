@@ -5,7 +5,8 @@ const top = await retrieve(q, 3);
 
 console.log("QUESTION:", q);
 console.log("TOP MATCHES:");
+if (!top.length) console.log("(none above the relevance threshold)");
 for (const r of top) {
-  console.log(`- ${r.title} (score ${r.score.toFixed(3)})`);
+  console.log(`- ${r.title} (score ${r.score.toFixed(3)}, vector ${r.vectorScore.toFixed(3)}, keyword ${r.keywordScore.toFixed(3)})`);
   console.log(`  ${r.text}`);
 }
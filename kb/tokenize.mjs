@@ -0,0 +1,12 @@
+// Shared by BM25 scoring (retrieve.mjs) and the local embedding backend
+export const STOPWORDS = new Set([
+  "a", "an", "and", "are", "at", "be", "by", "can", "do", "does", "for", "from", "have", "how", "i",
+  "in", "is", "it", "me", "my", "of", "on", "or", "the", "there", "to", "what", "when", "where",
+  "which", "who", "will", "with", "you", "your",
+]);
+
+// "B.Com" -> "bcom" so dotted abbreviations match as one term
+export function tokenize(text) {
+  return (String(text || "").toLowerCase().replace(/([a-z0-9])\.(?=[a-z0-9])/g, "$1").match(/[a-z0-9]+/g) || [])
+    .filter((w) => !STOPWORDS.has(w));
+}
@@ -0,0 +1,198 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Caller-facing text, one catalog per language: locales/<code>.json
+//
+//   {
+//     "name": "Marathi",               shown in greetings ("You can speak in ...")
+//     "stt": "mr-IN",                  Twilio speech language; also the session lang
+//     "script": "devanagari",          see SCRIPTS; text in this script selects the language
+//     "markers": ["आहे", ...],         tell apart languages sharing a script (optional)
+//     "names": ["marathi", "मराठी"],   asking for one of these ("in Marathi") switches to the language
+//     "voice": "<ElevenLabs voice id>", optional; else ELEVEN_VOICE_ID_<CODE>, else ELEVEN_VOICE_ID
+//     "sayVoice": "Google.mr-IN-Standard-A", Twilio <Say> voice when synthesized speech is down
+//     "words": { "yes": [...], "no": [...], "bye": [...] },   bye: the caller is done ("no thanks", "धन्यवाद")
+//     "messages": { "hospital.askName": "... {placeholder} ..." }
+//   }
+//
+// en.json is the reference: every catalog must have exactly its message IDs with the
+// same placeholders. Catalogs are loaded and checked once, at startup.
+
+const LOCALES_DIR = process.env.LOCALES_DIR || path.dirname(fileURLToPath(import.meta.url));
+const BASE = "en";
+
+const SCRIPTS = {
+  latin: /[a-z]/i,
+  devanagari: /[\u0900-\u097F]/,
+  bengali: /[\u0980-\u09FF]/,
+  gurmukhi: /[\u0A00-\u0A7F]/,
+  gujarati: /[\u0A80-\u0AFF]/,
+  tamil: /[\u0B80-\u0BFF]/,
+  telugu: /[\u0C00-\u0C7F]/,
+  kannada: /[\u0C80-\u0CFF]/,
+  malayalam: /[\u0D00-\u0D7F]/,
+};
+
+function placeholders(text) {
+  return [...new Set([...String(text).matchAll(/\{(\w+)\}/g)].map((m) => m[1]))].sort().join(",");
+}
+
+function escape(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole words only; \b does not work outside ASCII
+function wordsRegex(words) {
+  if (!words.length) return null;
+  return new RegExp(`(?<![\\p{L}\\p{M}\\d])(${words.map(escape).join("|")})(?![\\p{L}\\p{M}\\d])`, "u");
+}
+
+function load() {
+  const catalogs = fs
+    .readdirSync(LOCALES_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => ({ code: path.basename(f, ".json"), ...JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, f), "utf8")) }))
+    .sort((a, b) => (b.code === BASE) - (a.code === BASE));
+
+  const base = catalogs.find((c) => c.code === BASE);
+  if (!base) throw new Error(`Missing reference catalog ${BASE}.json in ${LOCALES_DIR}`);
+
+  const errors = [];
+  for (const c of catalogs) {
+    if (!c.name || !c.stt) errors.push(`${c.code}: needs "name" and "stt"`);
+    if (!SCRIPTS[c.script]) errors.push(`${c.code}: unknown script "${c.script}" (${Object.keys(SCRIPTS).join(", ")})`);
+
+    const messages = c.messages || {};
+    for (const [id, text] of Object.entries(base.messages || {})) {
+      if (typeof messages[id] !== "string" || !messages[id]) errors.push(`${c.code}: missing "${id}"`);
+      else if (placeholders(messages[id]) !== placeholders(text)) {
+        errors.push(`${c.code}: "${id}" uses {${placeholders(messages[id])}} but ${BASE} uses {${placeholders(text)}}`);
+      }
+    }
+    for (const id of Object.keys(messages)) if (!(id in base.messages)) errors.push(`${c.code}: "${id}" is not in ${BASE}.json`);
+  }
+  if (errors.length) throw new Error(`Invalid locale catalogs in ${LOCALES_DIR}:\n  - ${errors.join("\n  - ")}`);
+
+  return catalogs.map((c) => ({
+    ...c,
+    names: (c.names || []).map((n) => n.toLowerCase()),
+    namesRe: wordsRegex((c.names || []).map((n) => n.toLowerCase())),
+    markersRe: wordsRegex(c.markers || []),
+    yesRe: wordsRegex(c.words?.yes || []),
+    noRe: wordsRegex(c.words?.no || []),
+    byeRe: wordsRegex(c.words?.bye || []),
+  }));
+}
+
+const CATALOGS = load();
+const BASE_CATALOG = CATALOGS.find((c) => c.code === BASE);
+
+// "mr-IN" / "mr" -> Marathi catalog; anything unknown reads English
+function catalog(lang) {
+  const code = String(lang || "").toLowerCase().split("-")[0];
+  return CATALOGS.find((c) => c.code === code) || BASE_CATALOG;
+}
+
+export function languages() {
+  return CATALOGS.map(({ code, name, stt, script }) => ({ code, name, stt, script }));
+}
+
+export function isSupported(lang) {
+  const code = String(lang || "").toLowerCase().split("-")[0];
+  return CATALOGS.some((c) => c.code === code);
+}
+
+export function languageName(lang) {
+  return catalog(lang).name;
+}
+
+// "English, Hindi, Marathi, Tamil or Bengali", named in the caller's language
+export function languageList(lang) {
+  const locale = catalog(lang).stt;
+  const names = new Intl.DisplayNames([locale], { type: "language" });
+  return new Intl.ListFormat(locale, { type: "disjunction" }).format(CATALOGS.map((c) => names.of(c.code) || c.name));
+}
+
+export function hasMessage(id) {
+  return id in BASE_CATALOG.messages;
+}
+
+export function messageIds(prefix = "") {
+  return Object.keys(BASE_CATALOG.messages).filter((id) => id.startsWith(prefix));
+}
+
+// Raw text with {placeholders} left in
+export function template(lang, id) {
+  const text = catalog(lang).messages[id];
+  if (text === undefined) throw new Error(`Unknown message "${id}"`);
+  return text;
+}
+
+export function message(lang, id, vars = {}) {
+  return template(lang, id).replace(/\{(\w+)\}/g, (_, k) => (vars[k] ?? "").toString());
+}
+
+export function voiceFor(lang) {
+  const c = catalog(lang);
+  return c.voice || process.env[`ELEVEN_VOICE_ID_${c.code.toUpperCase()}`] || process.env.ELEVEN_VOICE_ID;
+}
+
+// Attributes for Twilio <Say> in this language. The catalog voice only fits its own
+// locale ("en-US" gets Twilio's default voice); TWILIO_SAY_VOICE_<CODE> overrides it.
+export function twilioSay(lang) {
+  const c = catalog(lang);
+  const language = lang || c.stt;
+  const voice = process.env[`TWILIO_SAY_VOICE_${c.code.toUpperCase()}`] || (language === c.stt ? c.sayVoice : undefined);
+  return voice ? { language, voice } : { language };
+}
+
+// Words around a language name that make it a request rather than a mention:
+// "in Tamil", "switch to Hindi", "Tamil please", "Hindi mein", "मराठी में"
+const REQUEST_BEFORE = /(?:^|\s)(?:in|speak|talk in|switch to|change to|use)$/u;
+const REQUEST_AFTER = wordsRegex(["please", "plz", "mein", "me", "mai", "main", "language", "bhasha", "में", "मे", "भाषा", "मध्ये", "मधे", "bolo", "boliye", "बोलो", "बोलिए", "बोला"]);
+
+// True when the caller asks for this catalog's language by name. The name alone counts
+// too ("Tamil"), but not inside other words ("Tamil Selvan" is a name, not a request).
+function askedFor(c, lower) {
+  if (!c.namesRe) return false;
+  const t = lower.replace(/[.,!?।]/g, " ").replace(/\s+/g, " ").trim();
+  for (const m of t.matchAll(new RegExp(c.namesRe.source, "gu"))) {
+    const before = t.slice(0, m.index).trim();
+    const after = t.slice(m.index + m[0].length).trim();
+    if (!before && !after) return true;
+    if (REQUEST_BEFORE.test(before)) return true;
+    const next = REQUEST_AFTER.exec(after);
+    if (next?.index === 0) return true;
+  }
+  return false;
+}
+
+// Language the caller switched to, as an STT code, or null to keep the current one.
+// Asking for a language by name wins ("Tamil please", "मराठी में"); otherwise the script
+// decides, with marker words picking between languages that share it (Hindi / Marathi).
+// A call already in that script stays put unless a marker says otherwise, so a Marathi
+// caller spelling out a name is not switched to Hindi. names: false skips the name check
+// (while the caller is giving a name, "Tamil Selvan" is not a request).
+export function detectLanguage(text, current, { names = true } = {}) {
+  const raw = String(text || "");
+  const lower = raw.toLowerCase();
+
+  const named = names && CATALOGS.find((c) => askedFor(c, lower));
+  if (named) return named.stt;
+
+  const candidates = CATALOGS.filter((c) => c.script !== "latin" && SCRIPTS[c.script].test(raw));
+  if (!candidates.length) return null;
+  const marked = candidates.find((c) => c.markersRe?.test(lower));
+  if (marked) return marked.stt;
+  if (current && candidates.includes(catalog(current))) return null;
+  return (candidates.find((c) => !c.markers?.length) || candidates[0]).stt;
+}
+
+// Yes/no/bye words of the caller's language plus English, whose list carries the
+// romanised Hinglish callers use whatever language is set
+export function saysWord(kind, text, lang) {
+  const lower = String(text || "").toLowerCase();
+  return [BASE_CATALOG, catalog(lang)].some((c) => c[`${kind}Re`]?.test(lower));
+}
@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+// Call modes ("verticals"). A mode decides how a call sounds end to end:
+//
+//   id                                 "education", "hospital", ...
+//   startCall({ callSid, from, to, query }) -> session fields for a new call (tenantId, lang, ...)
+//   greeting(callSid)                  first thing the caller hears
+//   sttLang(session)                   speech-recognition language for the next turn
+//   autoSwitchLang                     true: a caller speaking another catalog language (locales/) switches session.lang
+//   freeText(callSid)                  optional: true while the caller is giving free-form text (a name),
+//                                      so a language name in it does not switch the language
+//   answer(callSid, text)              -> { say, transfer, dial?, hangup? }
+//   followUp(callSid, { first })       prompt after an answer, or null to just listen
+//   endOfCall(callSid, text)           goodbye line when the caller is done, else null
+//   staticPrompts()                    optional: [{ lang, text }] fixed lines to synthesize at startup
+//
+// education and hospital are built into server.js. Any other modes/*.mjs file is a
+// plugin: its default export is (services) => mode, called once at startup.
+//
+// The mode for a call is, in order: ?mode= on /welcome, the dialled number's entry in
+// modes/numbers.json ({ "numbers": { "+91 70282 33777": "hospital" } }), then MODE.
+
+const MODES_DIR = path.dirname(fileURLToPath(import.meta.url));
+const NUMBERS_PATH = process.env.MODE_NUMBERS_PATH || path.join(process.cwd(), "modes", "numbers.json");
+
+const REQUIRED = ["startCall", "greeting", "sttLang", "answer", "followUp", "endOfCall"];
+
+const modes = new Map();
+
+export function registerMode(mode) {
+  const id = String(mode?.id || "").toLowerCase();
+  if (!id) throw new Error("Call mode without id");
+  const missing = REQUIRED.filter((k) => typeof mode[k] !== "function");
+  if (missing.length) throw new Error(`Call mode "${id}" is missing ${missing.join(", ")}`);
+  if (modes.has(id)) throw new Error(`Call mode "${id}" is registered twice`);
+  modes.set(id, { autoSwitchLang: false, ...mode, id });
+}
+
+export function getMode(id) {
+  return modes.get(String(id || "").toLowerCase()) || null;
+}
+
+export function listModes() {
+  return [...modes.keys()];
+}
+
+// Imports every plugin in modes/ and registers what it returns
+export async function loadModePlugins(services) {
+  const files = fs
+    .readdirSync(MODES_DIR)
+    .filter((f) => f.endsWith(".mjs") && f !== "modes.mjs")
+    .sort();
+  for (const f of files) {
+    const mod = await import(pathToFileURL(path.join(MODES_DIR, f)).href);
+    if (typeof mod.default !== "function") throw new Error(`modes/${f} must default-export (services) => mode`);
+    registerMode(await mod.default(services));
+  }
+  return files;
+}
+
+function digits(n) {
+  return String(n || "").replace(/\D/g, "");
+}
+
+// Read per call, so edits apply without a restart. -> { "<number>": "<mode id>" }
+export function numberModes() {
+  try {
+    return JSON.parse(fs.readFileSync(NUMBERS_PATH, "utf8")).numbers || {};
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error("Mode numbers load failed:", e?.message);
+    return {};
+  }
+}
+
+// Match on the trailing 10 digits, like tenantForNumber. -> mode id or null
+export function modeForNumber(to) {
+  const want = digits(to).slice(-10);
+  if (!want) return null;
+  const hit = Object.entries(numberModes()).find(([n]) => digits(n).slice(-10) === want);
+  if (!hit) return null;
+  if (!getMode(hit[1])) {
+    console.error(`modes/numbers.json maps ${hit[0]} to unknown mode "${hit[1]}"`);
+    return null;
+  }
+  return getMode(hit[1]).id;
+}
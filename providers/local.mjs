@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import { tokenize } from "../kb/tokenize.mjs";
+
+// Deterministic, offline backend: no network, no keys. Good enough to run the KB
+// pipeline and both call flows on a laptop or in CI; not meant for real callers.
+
+const DIMS = 512;
+
+export const embeddingModel = `local:hashed-tf-${DIMS}`;
+export const chatModel = "local:template";
+
+// ---------- Embeddings ----------
+// Hashed term vectors: unigrams (light plural stemming) + bigrams, signed-hashed into
+// DIMS buckets, sublinear TF, L2-normalised. Rare-term weighting is left to BM25.
+function stem(w) {
+  return w.length > 4 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w;
+}
+
+function bucket(term) {
+  const h = crypto.createHash("md5").update(term).digest();
+  return { i: h.readUInt32LE(0) % DIMS, sign: h[4] & 1 ? 1 : -1 };
+}
+
+function embedOne(text) {
+  const words = tokenize(text).map(stem);
+  const terms = [...words, ...words.slice(1).map((w, i) => `${words[i]}_${w}`)];
+
+  const tf = new Map();
+  for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+
+  const v = new Array(DIMS).fill(0);
+  for (const [t, n] of tf) {
+    const { i, sign } = bucket(t);
+    v[i] += sign * (1 + Math.log(n)) * (t.includes("_") ? 0.5 : 1);
+  }
+
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map((x) => x / norm);
+}
+
+export async function embed(inputs) {
+  return inputs.map(embedOne);
+}
+
+// ---------- Templates ----------
+function sentences(text) {
+  return String(text || "")
+    .split(/(?<=[.!?।])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function overlap(a, b) {
+  const bs = new Set(tokenize(b).map(stem));
+  return tokenize(a).map(stem).filter((w) => bs.has(w)).length;
+}
+
+// Best two sentences by word overlap with the question (near-duplicates skipped),
+// cited by source number
+function kbAnswer({ question, sources = [], notFound }) {
+  const candidates = sources
+    .flatMap((s, si) => sentences(s.text).map((text, pos) => ({ text, si, pos, score: overlap(question, `${s.title} ${text}`) })))
+    .filter((x) => x.score > 0)
+    .sort((a, b) => b.score - a.score || a.si - b.si || a.pos - b.pos);
+
+  const ranked = [];
+  for (const c of candidates) {
+    if (ranked.length >= 2) break;
+    const words = tokenize(c.text).length || 1;
+    if (ranked.some((r) => overlap(c.text, r.text) / words >= 0.6)) continue;
+    ranked.push(c);
+  }
+
+  if (!ranked.length) return `${notFound}\nCITED: none`;
+  const cited = [...new Set(ranked.map((x) => x.si + 1))];
+  return `${ranked.map((x) => x.text.replace(/\s+/g, " ")).join(" ")}\nCITED: ${cited.join(", ")}`;
+}
+
+// Follow-ups that lean on an earlier turn get that turn's words appended
+const FOLLOW_UP = /\b(it|its|it's|that|this|those|they|them|their|same|there|also|what about|how about)\b/i;
+
+function rewriteQuery({ question, history = [] }) {
+  const lastUser = [...history].reverse().find((m) => m.role === "user");
+  if (!lastUser || !FOLLOW_UP.test(question)) return question;
+  return `${question} ${lastUser.content}`;
+}
+
+function summary({ transcript = [] }) {
+  const asked = transcript.filter((x) => x.role === "user" && x.content).slice(-4);
+  const lines = asked.map((x) => `- Caller: ${x.content}`);
+  const last = [...transcript].reverse().find((x) => x.role === "assistant");
+  if (last) lines.push(`- Last reply: ${last.content}`);
+  lines.push("- Next steps: review the transcript and follow up with the caller if needed.");
+  return lines.join("\n");
+}
+
+const TEMPLATES = {
+  kb_answer: kbAnswer,
+  rewrite_query: rewriteQuery,
+  polish: ({ raw }) => raw,
+  summary,
+};
+
+export async function complete({ task, data = {} }) {
+  const fn = TEMPLATES[task];
+  return fn ? fn(data) : "";
+}
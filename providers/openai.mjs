@@ -0,0 +1,25 @@
+import OpenAI from "openai";
+
+// OPENAI_BASE_URL (read by the SDK) points this at any OpenAI-compatible server
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || "text-embedding-3-small";
+const CHAT_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+
+// Created on first use so a deployment on the local backend never needs a key
+let client = null;
+function openai() {
+  if (!client) client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return client;
+}
+
+export const embeddingModel = `openai:${EMBEDDING_MODEL}`;
+export const chatModel = `openai:${CHAT_MODEL}`;
+
+export async function embed(inputs) {
+  const emb = await openai().embeddings.create({ model: EMBEDDING_MODEL, input: inputs });
+  return emb.data.map((d) => d.embedding);
+}
+
+export async function complete({ messages, temperature = 0.2 }) {
+  const resp = await openai().chat.completions.create({ model: CHAT_MODEL, temperature, messages });
+  return resp.choices?.[0]?.message?.content?.trim() || "";
+}
@@ -0,0 +1,39 @@
+import * as openaiBackend from "./openai.mjs";
+import * as localBackend from "./local.mjs";
+
+// Single entry point for embeddings and chat completions.
+//
+//   EMBEDDING_PROVIDER = openai | local   (default: openai when OPENAI_API_KEY is set, else local)
+//   LLM_PROVIDER       = openai | local   (same default)
+//   EMBEDDING_MODEL / OPENAI_MODEL / OPENAI_BASE_URL tune the openai backend.
+//
+// KB vectors record the embeddingModel they were built with; retrieval only compares
+// vectors from the same model.
+
+const BACKENDS = { openai: openaiBackend, local: localBackend };
+
+// Vectors written before providers existed were all built with this
+export const LEGACY_EMBEDDING_MODEL = "openai:text-embedding-3-small";
+
+function pick(envName) {
+  const wanted = (process.env[envName] || (process.env.OPENAI_API_KEY ? "openai" : "local")).toLowerCase();
+  const backend = BACKENDS[wanted];
+  if (!backend) throw new Error(`${envName}=${wanted} is not a known provider (${Object.keys(BACKENDS).join(", ")})`);
+  return backend;
+}
+
+export function providerInfo() {
+  return { embedding: pick("EMBEDDING_PROVIDER").embeddingModel, llm: pick("LLM_PROVIDER").chatModel };
+}
+
+// -> { vectors, model }
+export async function embed(inputs) {
+  const backend = pick("EMBEDDING_PROVIDER");
+  return { vectors: await backend.embed(inputs), model: backend.embeddingModel };
+}
+
+// task names the job (kb_answer, rewrite_query, polish, summary) so the local
+// backend can answer from data with a template; remote backends use messages.
+export async function complete({ task, messages, temperature = 0.2, data = {} }) {
+  return pick("LLM_PROVIDER").complete({ task, messages, temperature, data });
+}
@@ -0,0 +1,144 @@
+import fs from "fs";
+import path from "path";
+
+// Abuse protection for the public routes: rate limits per caller number and per IP,
+// and a blocklist of both.
+//
+//   RATE_LIMIT_IP_PER_MIN        unsigned requests per IP per minute to the webhooks and /tts
+//                                (default 300; Twilio-signed webhooks and signed /tts URLs do not count)
+//   RATE_LIMIT_CALLS_PER_HOUR    new calls per caller number per hour (default 10)
+//   RATE_LIMIT_TURNS_PER_MIN     speech turns per caller number per minute (default 20)
+//   RATE_LIMIT_LOGINS_PER_15MIN  sign-in attempts per IP per 15 minutes (default 10)
+//
+// The blocklist lives in security/blocklist.json:
+//   { "numbers": [{ "value": "9876543210", "reason", "at" }], "ips": [{ "value": "203.0.113.7", ... }] }
+// Numbers match on their trailing 10 digits, like tenant and mode numbers.
+
+const BLOCKLIST_PATH = process.env.BLOCKLIST_PATH || path.join(process.cwd(), "security", "blocklist.json");
+
+const LIMITS = {
+  ip: { max: Number(process.env.RATE_LIMIT_IP_PER_MIN) || 300, windowMs: 60 * 1000 },
+  call: { max: Number(process.env.RATE_LIMIT_CALLS_PER_HOUR) || 10, windowMs: 60 * 60 * 1000 },
+  turn: { max: Number(process.env.RATE_LIMIT_TURNS_PER_MIN) || 20, windowMs: 60 * 1000 },
+  login: { max: Number(process.env.RATE_LIMIT_LOGINS_PER_15MIN) || 10, windowMs: 15 * 60 * 1000 },
+};
+
+const windows = new Map(); // "kind:key" -> { start, count }
+
+let cache = null; // { mtimeMs, list }
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function lastTen(number) {
+  return String(number || "").replace(/\D/g, "").slice(-10);
+}
+
+// "::ffff:203.0.113.7" (IPv4 seen through an IPv6 socket) -> "203.0.113.7"
+export function normalizeIp(ip) {
+  return String(ip || "").replace(/^::ffff:/, "");
+}
+
+// Fixed windows per key. -> { ok, retryAfterSec, firstOver } (firstOver: this hit crossed
+// the limit, so callers log once per window rather than once per request)
+export function hit(kind, key) {
+  const limit = LIMITS[kind];
+  if (!limit) throw new Error(`Unknown rate limit "${kind}"`);
+  if (!key) return { ok: true, retryAfterSec: 0, firstOver: false };
+
+  const now = Date.now();
+  if (windows.size > 10000) {
+    for (const [k, w] of windows) if (now - w.start >= LIMITS[k.split(":")[0]].windowMs) windows.delete(k);
+  }
+
+  const id = `${kind}:${key}`;
+  let w = windows.get(id);
+  if (!w || now - w.start >= limit.windowMs) {
+    w = { start: now, count: 0 };
+    windows.set(id, w);
+  }
+  w.count++;
+  return {
+    ok: w.count <= limit.max,
+    retryAfterSec: Math.ceil((w.start + limit.windowMs - now) / 1000),
+    firstOver: w.count === limit.max + 1,
+  };
+}
+
+export function callerKey(number) {
+  return lastTen(number);
+}
+
+// ---------- Blocklist ----------
+function load() {
+  try {
+    const { mtimeMs } = fs.statSync(BLOCKLIST_PATH);
+    if (cache?.mtimeMs === mtimeMs) return cache.list;
+    const data = JSON.parse(fs.readFileSync(BLOCKLIST_PATH, "utf8"));
+    cache = { mtimeMs, list: { numbers: data.numbers || [], ips: data.ips || [] } };
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error("Blocklist load failed:", e?.message);
+    if (!cache) cache = { mtimeMs: 0, list: { numbers: [], ips: [] } };
+  }
+  return cache.list;
+}
+
+function save(list) {
+  fs.mkdirSync(path.dirname(BLOCKLIST_PATH), { recursive: true });
+  const tmp = `${BLOCKLIST_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2));
+  fs.renameSync(tmp, BLOCKLIST_PATH);
+  cache = { mtimeMs: fs.statSync(BLOCKLIST_PATH).mtimeMs, list };
+}
+
+// -> the matching blocklist entry (with "kind") or null
+export function blocked({ number, ip }) {
+  const list = load();
+  const n = lastTen(number);
+  const byNumber = n && list.numbers.find((e) => e.value === n);
+  if (byNumber) return { kind: "number", ...byNumber };
+  const addr = normalizeIp(ip);
+  const byIp = addr && list.ips.find((e) => e.value === addr);
+  return byIp ? { kind: "ip", ...byIp } : null;
+}
+
+export function listBlocked() {
+  return { ...load(), limits: Object.fromEntries(Object.entries(LIMITS).map(([k, l]) => [k, { max: l.max, windowSec: l.windowMs / 1000 }])) };
+}
+
+// Exactly one of number / ip
+function target({ number, ip }) {
+  if (!!number === !!ip) throw badRequest("Give either number or ip");
+  if (number) {
+    const value = lastTen(number);
+    if (value.length !== 10) throw badRequest(`Not a phone number: ${number}`);
+    return { field: "numbers", value };
+  }
+  return { field: "ips", value: normalizeIp(ip) };
+}
+
+export function addBlocked({ number, ip, reason }) {
+  const { field, value } = target({ number, ip });
+  const list = load();
+  const entry = { value, reason: String(reason || "").trim() || null, at: new Date().toISOString() };
+  save({ ...list, [field]: [...list[field].filter((e) => e.value !== value), entry] });
+  console.warn(`Blocklist: added ${field === "numbers" ? "number" : "ip"} ${value}${entry.reason ? ` (${entry.reason})` : ""}`);
+  return entry;
+}
+
+export function removeBlocked({ number, ip }) {
+  const { field, value } = target({ number, ip });
+  const list = load();
+  if (!list[field].some((e) => e.value === value)) throw notFound(`${value} is not blocked`);
+  save({ ...list, [field]: list[field].filter((e) => e.value !== value) });
+  return { value };
+}
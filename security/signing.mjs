@@ -0,0 +1,42 @@
+import crypto from "crypto";
+import twilio from "twilio";
+
+// Proof that a request comes from Twilio, or from a URL our own TwiML handed out.
+//
+//   TWILIO_AUTH_TOKEN              verifies X-Twilio-Signature on the voice webhooks; the
+//                                  server will not start without it while the check is on
+//   TWILIO_VALIDATE_SIGNATURE=0    skips that check (local testing with curl only)
+//   TTS_URL_SECRET                 signs /tts URLs; defaults to a random secret per process,
+//                                  so set it when several instances serve the same number
+//   TTS_URL_TTL_SEC                how long a signed /tts URL plays (default 600)
+
+const TTS_SECRET = process.env.TTS_URL_SECRET || crypto.randomBytes(32).toString("hex");
+const TTS_TTL_SEC = Number(process.env.TTS_URL_TTL_SEC) || 600;
+
+export function signatureCheckEnabled() {
+  return process.env.TWILIO_VALIDATE_SIGNATURE !== "0";
+}
+
+// url is the full URL Twilio requested (BASE_URL + path and query); params the POST body
+export function validTwilioSignature(signature, url, params) {
+  if (!process.env.TWILIO_AUTH_TOKEN || !signature) return false;
+  return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, String(signature), url, params || {});
+}
+
+function ttsDigest(text, lang, exp) {
+  return crypto.createHmac("sha256", TTS_SECRET).update(`${exp}\n${lang}\n${text}`).digest("base64url");
+}
+
+// -> { exp, sig } to append to a /tts URL
+export function signTts(text, lang) {
+  const exp = Math.floor(Date.now() / 1000) + TTS_TTL_SEC;
+  return { exp, sig: ttsDigest(text, lang, exp) };
+}
+
+export function validTtsSignature(text, lang, exp, sig) {
+  const expires = Number(exp);
+  if (!Number.isInteger(expires) || expires < Date.now() / 1000 || !sig) return false;
+  const want = Buffer.from(ttsDigest(text, lang, expires));
+  const got = Buffer.from(String(sig));
+  return want.length === got.length && crypto.timingSafeEqual(want, got);
+}
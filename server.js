@@ -11,76 +11,424 @@
 
 import express from "express";
 import twilio from "twilio";
-import axios from "axios";
-import OpenAI from "openai";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import { answerFromKB } from "./kb/answer.mjs";
 import multer from "multer";
-import { extractTextFromBuffer, buildKbFromText } from "./kb/ingest.mjs";
+import { extractFromBuffer, buildKbFromText, editChunk } from "./kb/ingest.mjs";
+import { listSources, getSource, searchChunks, removeSource } from "./kb/store.mjs";
+import { reloadIndex, getIndexInfo } from "./kb/retrieve.mjs";
+import { getTenant, findTenant, listTenants, tenantForNumber } from "./tenants/tenants.mjs";
+import { complete, providerInfo } from "./providers/providers.mjs";
+import {
+  listDepartments,
+  upsertDepartment,
+  listDoctors,
+  getDoctor,
+  upsertDoctor,
+  detectDept,
+  listDoctorsByDept,
+  findDoctorByName,
+} from "./hospital/directory.mjs";
+import { listSlots, nextAvailable, findSlot, holdSlot, releaseHolds, bookSlot, rescheduleSlot } from "./hospital/slots.mjs";
+import { listAppointments, getAppointment, cancelAppointment } from "./hospital/appointments.mjs";
+import { parseWhen, splitWhen } from "./hospital/when.mjs";
+import { formatSlot, formatWhen } from "./hospital/clock.mjs";
+import { spokenDigits, indianMobile, readBack } from "./hospital/phone.mjs";
+import { classifySafety, logEscalation, listEscalations } from "./hospital/safety.mjs";
+import { createFlow } from "./hospital/flow.mjs";
+import { registerMode, getMode, listModes, loadModePlugins, modeForNumber, numberModes } from "./modes/modes.mjs";
+import { languages, languageList, messageIds, template, message, twilioSay, detectLanguage, saysWord } from "./locales/locales.mjs";
+import { listCached, purgeCached, purgeAllCached } from "./tts/cache.mjs";
+import { speech, speechKeys, hasSpeech, ttsAvailable, ttsHealth } from "./tts/tts.mjs";
+import { signatureCheckEnabled, validTwilioSignature, signTts, validTtsSignature } from "./security/signing.mjs";
+import { hit, callerKey, normalizeIp, blocked, listBlocked, addBlocked, removeBlocked } from "./security/limits.mjs";
+import { ROLES, hasRole, listUsers, getUser, verifyLogin, createUser, updateUser, removeUser, bootstrapAdmin } from "./auth/users.mjs";
+import { startSession, sessionUser, endSession, endSessionsFor, sessionIdFrom, sessionCookie } from "./auth/sessions.mjs";
+import { logAccess, listAccess } from "./auth/audit.mjs";
 
 const app = express();
 app.use(express.urlencoded({ extended: false }));
+// Reverse proxies in front of the app (Render: 1), so req.ip is the client the IP limits see
+const TRUST_PROXY = process.env.TRUST_PROXY ?? "1";
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 const upload = multer({ storage: multer.memoryStorage() });
 
-// simple admin auth
-function requireAdmin(req, res, next) {
-  const token = req.headers["x-admin-token"] || req.query.token;
-  if (!process.env.ADMIN_TOKEN) {
-    return res.status(500).send("ADMIN_TOKEN not set");
+// ------------------------------
+// Staff auth (auth/): accounts with roles, login sessions, audit log
+// ------------------------------
+bootstrapAdmin();
+
+// Scripts may send ADMIN_TOKEN in an x-admin-token header; it acts as an admin.
+// Tokens in the query string are not accepted (they end up in logs and browser history).
+function tokenUser(req) {
+  const token = String(req.headers["x-admin-token"] || "");
+  const want = process.env.ADMIN_TOKEN;
+  if (!want || !token) return null;
+  const a = crypto.createHash("sha256").update(token).digest();
+  const b = crypto.createHash("sha256").update(want).digest();
+  return crypto.timingSafeEqual(a, b) ? { username: "admin-token", name: "ADMIN_TOKEN", role: "admin" } : null;
+}
+
+function currentUser(req) {
+  const username = sessionUser(sessionIdFrom(req));
+  return (username && getUser(username)) || tokenUser(req);
+}
+
+// Pages send a signed-out browser to /login; API calls get 401. Each role includes
+// the ones below it (auth/users.mjs).
+function requireRole(role) {
+  return (req, res, next) => {
+    const user = currentUser(req);
+    if (!user) {
+      if (req.method === "GET" && req.accepts(["json", "html"]) === "html") {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({ ok: false, error: "Sign in required" });
+    }
+    if (!hasRole(user.role, role)) {
+      audit(req, "denied", { user, target: `${req.method} ${req.path}` });
+      return res.status(403).json({ ok: false, error: `Needs the ${role} role` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+function audit(req, action, { user = req.user, callSid, target } = {}) {
+  logAccess({ user: user?.username, role: user?.role, action, callSid, target, ip: normalizeIp(req.ip) });
+}
+
+function escHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[m]);
+}
+
+// Signed-in user and a sign-out button, for the top of the staff pages
+function accountBar(user) {
+  return `<form method="post" action="/logout" style="text-align:right; font-size:13px; color:#666; margin:0 0 10px;">
+    ${escHtml(user.name)} (${escHtml(user.role)}) · <button type="submit">Sign out</button>
+  </form>`;
+}
+
+// Only same-site paths, so ?next= cannot send the browser elsewhere
+function localPath(next) {
+  const p = String(next || "");
+  return p.startsWith("/") && !p.startsWith("//") && !p.startsWith("/\\") ? p : "/calls";
+}
+
+app.get("/login", (req, res) => {
+  const failed = req.query.failed === "1";
+  res.type("html").send(`
+<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Sign in</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial; padding:24px; background:#fafafa;}
+    .card{max-width:360px; margin:60px auto; background:#fff; border:1px solid #eee; border-radius:14px; padding:18px; box-shadow:0 1px 6px rgba(0,0,0,.05);}
+    input{font:inherit; width:100%; box-sizing:border-box; margin:4px 0 12px;}
+    .err{color:#b00020; font-size:14px;}
+    button{cursor:pointer;}
+  </style>
+</head>
+<body>
+  <form class="card" method="post" action="/login">
+    <h2 style="margin-top:0;">Sign in</h2>
+    ${failed ? '<p class="err">Wrong username or password.</p>' : ""}
+    <input type="hidden" name="next" value="${escHtml(localPath(req.query.next))}" />
+    <label>Username <input name="username" autocomplete="username" required autofocus /></label>
+    <label>Password <input name="password" type="password" autocomplete="current-password" required /></label>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>
+  `);
+});
+
+// Form post from /login (redirects), or JSON { username, password } from scripts
+app.post("/login", guardIp, express.json(), (req, res) => {
+  const ip = normalizeIp(req.ip);
+  const json = req.is("application/json");
+  const limit = hit("login", ip);
+  if (!limit.ok) {
+    if (limit.firstOver) console.warn(`Login rate limit for ${ip}`);
+    res.set("Retry-After", String(limit.retryAfterSec));
+    return res.status(429).send("Too many sign-in attempts");
   }
-  if (token !== process.env.ADMIN_TOKEN) {
-    return res.status(401).send("Unauthorized");
+
+  const { username, password, next } = req.body || {};
+  const user = verifyLogin(username, password);
+  if (!user) {
+    audit(req, "login-failed", { user: { username: String(username || "").slice(0, 64) } });
+    if (json) return res.status(401).json({ ok: false, error: "Wrong username or password" });
+    return res.redirect(303, `/login?failed=1&next=${encodeURIComponent(localPath(next))}`);
   }
+
+  res.set("Set-Cookie", sessionCookie(startSession(user.username), { secure: req.secure }));
+  audit(req, "login", { user });
+  if (json) return res.json({ ok: true, user });
+  return res.redirect(303, localPath(next));
+});
+
+app.post("/logout", (req, res) => {
+  const id = sessionIdFrom(req);
+  const username = sessionUser(id);
+  if (username) audit(req, "logout", { user: getUser(username) || { username } });
+  endSession(id);
+  res.set("Set-Cookie", sessionCookie("", { secure: req.secure }));
+  if (req.accepts(["json", "html"]) === "html") return res.redirect(303, "/login");
+  return res.json({ ok: true });
+});
+
+app.get("/me", requireRole("viewer"), (req, res) => {
+  return res.json(req.user);
+});
+
+// Admin KB routes act on the tenant in ?tenant= (default tenant when omitted). An
+// unknown id is a 404: falling back would change another institution's KB.
+function kbTenant(req, res, next) {
+  const id = String(req.query.tenant || "");
+  req.tenant = id ? findTenant(id) : getTenant("");
+  if (!req.tenant) return res.status(404).json({ ok: false, error: `Unknown tenant: ${id}` });
   next();
 }
 
-// Upload form (admin)
-app.get("/kb", requireAdmin, (req, res) => {
+// KB management page (admin)
+app.get("/kb", requireRole("admin"), kbTenant, (req, res) => {
+  const tenant = req.tenant;
   res.type("html").send(`
-    <html>
-      <body style="font-family:system-ui; padding:24px; max-width:720px;">
-        <h2>KB Upload</h2>
-        <p>Upload PDF / DOCX / TXT. This will rebuild kb/kb_vectors.json</p>
-        <form action="/kb/upload?token=${encodeURIComponent(req.query.token || "")}" method="post" enctype="multipart/form-data">
-          <input type="file" name="file" required />
-          <br/><br/>
-          <button type="submit">Upload & Build KB</button>
-        </form>
-      </body>
-    </html>
+<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>KB Admin</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial; padding:24px; background:#fafafa;}
+    #wrap{max-width:980px; margin:0 auto;}
+    .card{background:#fff; border:1px solid #eee; border-radius:14px; padding:14px; margin-bottom:14px; box-shadow:0 1px 6px rgba(0,0,0,.05);}
+    table{width:100%; border-collapse:collapse; font-size:14px;}
+    td,th{text-align:left; padding:6px 8px; border-bottom:1px solid #f0f0f0;}
+    .chunk{padding:10px 0; border-bottom:1px solid #f0f0f0;}
+    .muted{color:#666; font-size:12px;}
+    textarea{width:100%; min-height:90px; font:inherit;}
+    button{cursor:pointer;}
+  </style>
+</head>
+<body>
+  <div id="wrap">
+    ${accountBar(req.user)}
+    <div class="card">
+      <h2 style="margin-top:0;">KB Upload</h2>
+      <p>Upload PDF / DOCX / PPTX / HTML / Markdown / TXT, or a CSV / XLSX FAQ sheet (one question and answer per row). Each file is kept as its own source; uploading the same file name again replaces it.</p>
+      <form method="get" action="/kb" style="margin-bottom:12px;">
+        Institution:
+        <select name="tenant" onchange="this.form.submit()">
+          ${listTenants().map((t) => `<option value="${t.id}"${t.id === tenant.id ? " selected" : ""}>${t.name || t.id}</option>`).join("")}
+        </select>
+      </form>
+      <form action="/kb/upload?tenant=${encodeURIComponent(tenant.id)}" method="post" enctype="multipart/form-data">
+        <input type="file" name="file" required />
+        <button type="submit">Upload & Add to KB</button>
+      </form>
+    </div>
+
+    <div class="card">
+      <h3 style="margin-top:0;">Sources <span class="muted" id="ver"></span></h3>
+      <table>
+        <thead><tr><th>Source</th><th>Chunks</th><th>Uploaded</th><th>Updated</th><th></th></tr></thead>
+        <tbody id="sources"></tbody>
+      </table>
+    </div>
+
+    <div class="card">
+      <h3 style="margin-top:0;">Chunks</h3>
+      <input id="q" placeholder="Search text…" style="width:50%;" />
+      <select id="src"><option value="">All sources</option></select>
+      <button id="go">Search</button>
+      <div id="chunks"></div>
+    </div>
+  </div>
+
+<script>
+  const TENANT = ${JSON.stringify(tenant.id)};
+
+  function esc(s){
+    return String(s||'').replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
+  }
+  async function api(method, url, body){
+    url += (url.includes('?') ? '&' : '?') + 'tenant=' + encodeURIComponent(TENANT);
+    const r = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(data.error || r.statusText);
+    return data;
+  }
+
+  async function loadSources(){
+    const data = await api('GET', '/kb/sources');
+    document.getElementById('ver').textContent = '(index ' + data.indexVersion + ')';
+    const rows = data.sources.map(s =>
+      '<tr><td><a href="#" data-src="'+esc(s.id)+'">'+esc(s.name)+'</a></td>' +
+      '<td>'+s.chunkCount+'</td><td>'+esc(s.uploadedAt)+'</td><td>'+esc(s.updatedAt)+'</td>' +
+      '<td><button data-del="'+esc(s.id)+'">Delete</button></td></tr>');
+    document.getElementById('sources').innerHTML = rows.join('') || '<tr><td colspan="5">None yet</td></tr>';
+    document.getElementById('src').innerHTML = '<option value="">All sources</option>' +
+      data.sources.map(s => '<option value="'+esc(s.id)+'">'+esc(s.name)+'</option>').join('');
+  }
+
+  async function loadChunks(){
+    const q = document.getElementById('q').value;
+    const sourceId = document.getElementById('src').value;
+    const data = await api('GET', '/kb/chunks?q=' + encodeURIComponent(q) + '&sourceId=' + encodeURIComponent(sourceId));
+    document.getElementById('chunks').innerHTML = data.chunks.map(c =>
+      '<div class="chunk"><div><b>'+esc(c.title)+'</b> <span class="muted">'+esc(c.sourceId)+' / '+esc(c.id)+'</span></div>' +
+      '<textarea data-text="'+esc(c.sourceId)+'|'+esc(c.id)+'">'+esc(c.text)+'</textarea>' +
+      '<button data-save="'+esc(c.sourceId)+'|'+esc(c.id)+'">Save & re-embed</button></div>'
+    ).join('') || '<p class="muted">No matching chunks.</p>';
+  }
+
+  document.addEventListener('click', async (e) => {
+    const el = e.target;
+    try {
+      if (el.dataset.src) {
+        e.preventDefault();
+        document.getElementById('src').value = el.dataset.src;
+        await loadChunks();
+      }
+      if (el.dataset.del && confirm('Delete this source and all its chunks?')) {
+        await api('DELETE', '/kb/sources/' + encodeURIComponent(el.dataset.del));
+        await loadSources();
+        await loadChunks();
+      }
+      if (el.dataset.save) {
+        const [sourceId, chunkId] = el.dataset.save.split('|');
+        const text = document.querySelector('textarea[data-text="'+CSS.escape(el.dataset.save)+'"]').value;
+        el.disabled = true;
+        await api('PUT', '/kb/sources/' + encodeURIComponent(sourceId) + '/chunks/' + encodeURIComponent(chunkId), { text });
+        el.textContent = 'Saved ✅';
+        await loadSources();
+      }
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      if (el.dataset.save) el.disabled = false;
+    }
+  });
+  document.getElementById('go').onclick = loadChunks;
+
+  loadSources().then(loadChunks).catch(err => alert(err.message));
+</script>
+</body>
+</html>
   `);
 });
 
 // Upload endpoint (admin)
-app.post("/kb/upload", requireAdmin, upload.single("file"), async (req, res) => {
+app.post("/kb/upload", requireRole("admin"), kbTenant, upload.single("file"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
 
     const sourceName = req.file.originalname || "uploaded_file";
-    const text = await extractTextFromBuffer(req.file.buffer, sourceName);
+    const { text, items } = await extractFromBuffer(req.file.buffer, sourceName);
 
-    const result = await buildKbFromText({ sourceName, text });
+    const { kbDir, id: tenantId } = req.tenant;
+    const result = await buildKbFromText({ sourceName, text, items, kbDir });
+    const index = reloadIndex(kbDir);
 
     return res.json({
       ok: true,
+      tenantId,
       sourceName,
-      extractedChars: text.length,
+      ...(items ? { extractedItems: items.length } : { extractedChars: text.length }),
       ...result,
+      indexVersion: index.version,
+    });
+  } catch (e) {
+    if (!e?.status) console.error("KB upload failed:", e);
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || "KB upload failed" });
+  }
+});
+
+// List sources (admin)
+app.get("/kb/sources", requireRole("admin"), kbTenant, (req, res) => {
+  const { kbDir, id: tenantId } = req.tenant;
+  const sources = listSources(kbDir).map(({ chunks, ...meta }) => ({ ...meta, chunkCount: (chunks || []).length }));
+  res.json({ tenantId, count: sources.length, indexVersion: getIndexInfo(kbDir).version, sources });
+});
+
+// One source with its chunks (admin)
+app.get("/kb/sources/:sourceId", requireRole("admin"), kbTenant, (req, res) => {
+  try {
+    const src = getSource(req.params.sourceId, req.tenant.kbDir);
+    if (!src) return res.status(404).json({ ok: false, error: "Source not found" });
+    const { chunks, ...meta } = src;
+    return res.json({
+      ...meta,
+      chunkCount: (chunks || []).length,
+      chunks: (chunks || []).map(({ embedding, ...c }) => c),
     });
   } catch (e) {
-    console.error("KB upload failed:", e);
-    return res.status(500).json({ ok: false, error: e?.message || "KB upload failed" });
+    return sendAdminError(res, e, "KB source");
+  }
+});
+
+// Browse / search chunks (admin)
+app.get("/kb/chunks", requireRole("admin"), kbTenant, (req, res) => {
+  const chunks = searchChunks({
+    q: req.query.q,
+    sourceId: req.query.sourceId || null,
+    limit: Math.min(parseInt(req.query.limit, 10) || 50, 500),
+    kbDir: req.tenant.kbDir,
+  });
+  res.json({ count: chunks.length, chunks });
+});
+
+// Edit one chunk; it is re-embedded before the index is swapped (admin)
+app.put("/kb/sources/:sourceId/chunks/:chunkId", requireRole("admin"), kbTenant, express.json(), async (req, res) => {
+  try {
+    const { sourceId, chunkId } = req.params;
+    const { kbDir } = req.tenant;
+    const result = await editChunk({ sourceId, chunkId, text: req.body?.text, title: req.body?.title, kbDir });
+    if (!result) return res.status(404).json({ ok: false, error: "Chunk not found" });
+    const index = reloadIndex(kbDir);
+    return res.json({ ok: true, ...result, indexVersion: index.version });
+  } catch (e) {
+    if (!e?.status) console.error("KB chunk edit failed:", e);
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || "KB chunk edit failed" });
+  }
+});
+
+// Remove one source (admin)
+app.delete("/kb/sources/:sourceId", requireRole("admin"), kbTenant, (req, res) => {
+  try {
+    const { kbDir } = req.tenant;
+    const result = removeSource(req.params.sourceId, kbDir);
+    if (!result) return res.status(404).json({ ok: false, error: "Source not found" });
+    const index = reloadIndex(kbDir);
+    return res.json({ ok: true, sourceId: req.params.sourceId, ...result, indexVersion: index.version });
+  } catch (e) {
+    if (!e?.status) console.error("KB delete failed:", e);
+    return res.status(e?.status || 500).json({ ok: false, error: e?.message || "KB delete failed" });
   }
 });
 
 const MODE = (process.env.MODE || "education").toLowerCase();
 const HOSPITAL_NAME = process.env.HOSPITAL_NAME || "Medanta";
 const AGENT_NUMBER = process.env.HOSPITAL_AGENT_NUMBER || "";
+// Safety escalations: the hospital's emergency desk and nurse line (nurse falls back to the agent line)
+const EMERGENCY_LINE = process.env.HOSPITAL_EMERGENCY_NUMBER || "";
+const NURSE_LINE = process.env.HOSPITAL_NURSE_NUMBER || AGENT_NUMBER;
+// What callers are told to ring themselves in an emergency
+const PUBLIC_EMERGENCY_NUMBER = process.env.PUBLIC_EMERGENCY_NUMBER || "112";
 const BASE_URL = process.env.BASE_URL || "https://cavas-voice-demo.onrender.com";
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 // ------------------------------
 // Persistence (simple JSON file)
 // ------------------------------
@@ -109,7 +457,7 @@ const persisted = loadPersisted(); // { [callSid]: { meta, transcript } }
 // ------------------------------
 const convoStore = new Map(); // education history
 const transcriptStore = new Map(); // callSid -> transcript[]
-const sessionStore = new Map(); // callSid -> { mode, state, lang, data }
+const sessionStore = new Map(); // callSid -> { mode, tenantId, state, lang, data }
 const callMetaStore = new Map(); // callSid -> { ts, mode, lang, from, to }
 const recentCalls = []; // most recent first, max 20
 
@@ -147,10 +495,11 @@ function rememberCall(callSid, patch = {}) {
   while (recentCalls.length > 20) recentCalls.pop();
 }
 
-function pushTranscript(callSid, role, content) {
+// extra: optional fields stored on the item, e.g. { grounded, citations } for KB answers
+function pushTranscript(callSid, role, content, extra = {}) {
   if (!callSid) return;
 
-  const item = { ts: new Date().toISOString(), role, content };
+  const item = { ts: new Date().toISOString(), role, content, ...extra };
 
   const arr = transcriptStore.get(callSid) || [];
   arr.push(item);
@@ -208,78 +557,115 @@ function setSession(callSid, patch) {
 function normalize(s) {
   return String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
 }
-function containsDevanagari(text) {
-  return /[\u0900-\u097F]/.test(String(text || ""));
-}
-function detectLangPreference(text) {
-  const t = normalize(text);
-  if (containsDevanagari(text)) return "hi-IN";
-  if (t.includes("hindi") || t.includes("हिंदी") || t.includes("हिन्दी")) return "hi-IN";
-  if (t.includes("english") || t.includes("अंग्रेजी")) return "en-IN";
-  return null;
+// Mode serving the call (see modes/modes.mjs); sessions from before a restart fall back to MODE
+function modeOf(callSid) {
+  return getMode(getSession(callSid).mode) || getMode(MODE);
 }
 function getSttLang(callSid) {
-  const s = getSession(callSid);
-  if ((s.mode || MODE) === "hospital") return s.lang || "en-IN";
-  return "en-US";
+  return modeOf(callSid).sttLang(getSession(callSid));
 }
-function isHindi(callSid) {
-  return getSttLang(callSid) === "hi-IN";
+function isEnglish(callSid) {
+  return getSttLang(callSid).startsWith("en-");
 }
-function t(callSid, en, hi) {
-  return isHindi(callSid) ? hi : en;
+// Caller-facing line from locales/<lang>.json in the call's language
+function callerLine(callSid, id, vars) {
+  return message(getSttLang(callSid), id, vars);
 }
 
 // ------------------------------
-// ElevenLabs TTS
+// Speech (tts/tts.mjs: ElevenLabs, HTTP provider, disk cache)
 // ------------------------------
-function getVoiceIdForLang(lang) {
-  const fallback = process.env.ELEVEN_VOICE_ID;
-  if (lang === "hi-IN") return process.env.ELEVEN_VOICE_ID_HI || fallback;
-  return process.env.ELEVEN_VOICE_ID_EN || fallback;
+const TTS_PLAY_WAIT_MS = Number(process.env.TTS_PLAY_WAIT_MS) || 3000;
+
+// Signed and short-lived (security/signing.mjs), so /tts only speaks what our TwiML asked for
+function ttsUrl(text, lang) {
+  const { exp, sig } = signTts(text, lang);
+  return `${BASE_URL}/tts?lang=${encodeURIComponent(lang)}&text=${encodeURIComponent(text)}&exp=${exp}&sig=${sig}`;
 }
 
-async function elevenTTS(text, lang = "en-IN") {
-  const voiceId = getVoiceIdForLang(lang);
-  const r = await axios({
-    method: "POST",
-    url: `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
-    headers: {
-      "xi-api-key": process.env.ELEVEN_API_KEY,
-      "Content-Type": "application/json",
-      Accept: "audio/mpeg",
-    },
-    data: {
-      text,
-      model_id: "eleven_turbo_v2_5",
-      voice_settings: { stability: 0.5, similarity_boost: 0.75 },
-    },
-    responseType: "arraybuffer",
-  });
-  return Buffer.from(r.data);
+// True when /tts can serve the line right away: it is cached, or a provider makes it
+// within TTS_PLAY_WAIT_MS (a slower synthesis still lands in the cache for next time)
+async function speechReady(text, lang) {
+  if (hasSpeech(text, lang)) return true;
+  if (!ttsAvailable()) return false;
+  let timer;
+  const waited = new Promise((resolve) => (timer = setTimeout(() => resolve(false), TTS_PLAY_WAIT_MS)));
+  const made = speech(text, lang).then(
+    () => true,
+    () => false
+  );
+  return Promise.race([made, waited]).finally(() => clearTimeout(timer));
+}
+
+// <Play> of synthesized speech, or Twilio's own <Say> in the caller's language when
+// the providers are down or slow, so a TTS outage is never silence
+async function speak(node, text, lang) {
+  if (await speechReady(text, lang)) node.play(ttsUrl(text, lang));
+  else node.say(twilioSay(lang), text);
 }
 
-app.get("/tts", async (req, res) => {
+// The ETag is the cache key, so a client holding it never needs the audio again;
+// max-age stays short because the voice or model behind the same URL can change
+app.get("/tts", guardIp, async (req, res) => {
   try {
     const text = String(req.query.text || "");
     const lang = String(req.query.lang || "en-IN");
-    const audio = await elevenTTS(text, lang);
+    if (!validTtsSignature(text, lang, req.query.exp, req.query.sig)) {
+      return res.status(403).send("Invalid or expired TTS link");
+    }
+    const held = String(req.headers["if-none-match"] || "");
+    const known = speechKeys(text, lang).find((k) => held.includes(`"${k}"`));
+    if (known) {
+      res.set("ETag", `"${known}"`);
+      return res.status(304).end();
+    }
+
+    const { key, audio, hit, provider } = await speech(text, lang);
+    res.set("ETag", `"${key}"`);
+    res.set("Cache-Control", "public, max-age=86400");
     res.set("Content-Type", "audio/mpeg");
-    res.set("Cache-Control", "no-store");
+    res.set("X-TTS-Cache", hit ? "hit" : "miss");
+    res.set("X-TTS-Provider", provider);
     res.send(audio);
   } catch (e) {
     console.error("/tts failed:", e?.message);
-    res.status(500).send("TTS failed");
+    res.set("Cache-Control", "no-store");
+    res.status(e?.status || 500).send("TTS failed");
+  }
+});
+
+// Providers in try order with their circuit state
+app.get("/tts/health", requireRole("admin"), (req, res) => {
+  return res.json({ available: ttsAvailable(), providers: ttsHealth() });
+});
+
+// Cached audio: size, entries (filters: lang, q, limit)
+app.get("/tts/cache", requireRole("admin"), (req, res) => {
+  return res.json(listCached({ lang: req.query.lang, q: req.query.q, limit: req.query.limit }));
+});
+
+app.delete("/tts/cache/:key", requireRole("admin"), (req, res) => {
+  try {
+    return res.json({ ok: true, ...purgeCached(req.params.key) });
+  } catch (e) {
+    return sendAdminError(res, e, "TTS cache purge");
   }
 });
 
+// Everything, or only ?lang= / ?voice=
+app.delete("/tts/cache", requireRole("admin"), (req, res) => {
+  return res.json({ ok: true, ...purgeAllCached({ lang: req.query.lang, voice: req.query.voice }) });
+});
+
 app.get("/", (_, res) => res.send(`Cavas Voice Demo is running ✅ (MODE=${MODE})`));
 
 // =========================================================
 // LIVE UI + SSE (Option A)
 // =========================================================
-app.get("/live/:callSid", (req, res) => {
+// Call data (patient names and numbers): any signed-in role, and every view is audited
+app.get("/live/:callSid", requireRole("viewer"), (req, res) => {
   const { callSid } = req.params;
+  audit(req, "watch-live", { callSid });
 
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache, no-transform");
@@ -303,8 +689,11 @@ app.get("/live/:callSid", (req, res) => {
   });
 });
 
-app.get("/ui/:callSid", (req, res) => {
+app.get("/ui/:callSid", requireRole("viewer"), (req, res) => {
   const { callSid } = req.params;
+  // The id is written into the page and its script as-is
+  if (!/^[\w-]+$/.test(callSid)) return res.status(400).send("Bad CallSid");
+  audit(req, "open-ui", { callSid });
   res.type("html").send(`
 <!doctype html>
 <html>
@@ -327,10 +716,14 @@ app.get("/ui/:callSid", (req, res) => {
     .role{font-weight:800; margin-right:8px;}
     #log{margin-top:12px; overflow:auto;}
     .status{font-size:13px; color:#666;}
+    .cite{margin-top:4px; font-size:12px; color:#555;}
+    .cite .tag{display:inline-block; background:#eef2ff; padding:2px 8px; border-radius:999px; margin:2px 4px 0 0;}
+    .cite .warn{background:#fff4e5;}
   </style>
 </head>
 <body>
   <div id="wrap">
+    ${accountBar(req.user)}
     <div class="top">
       <div class="card" style="flex:1;">
         <div style="font-size:18px; font-weight:800;">Live Transcript</div>
@@ -357,13 +750,23 @@ app.get("/ui/:callSid", (req, res) => {
     return String(s||'').replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
   }
 
+  function citeHtml(item){
+    if (item.query) return '<div class="cite">Searched as: <i>'+esc(item.query)+'</i></div>';
+    if (item.grounded === undefined) return '';
+    if (!item.grounded) return '<div class="cite"><span class="tag warn">Not grounded in KB</span></div>';
+    return '<div class="cite">' + (item.citations || []).map(c =>
+      '<span class="tag" title="'+esc(c.sourceId)+' / '+esc(c.id)+'">'+esc(c.title)+' · '+Number(c.score||0).toFixed(2)+'</span>'
+    ).join('') + '</div>';
+  }
+
   function addLine(item){
     const div = document.createElement('div');
     div.className = 'row ' + (item.role === 'user' ? 'u' : 'a');
     div.innerHTML =
       '<div class="ts">'+esc(item.ts)+'</div>' +
       '<div><span class="role">'+esc(item.role.toUpperCase())+':</span>' +
-      '<span>'+ esc(item.content || '') +'</span></div>';
+      '<span>'+ esc(item.content || '') +'</span></div>' +
+      citeHtml(item);
     log.appendChild(div);
     log.scrollTop = log.scrollHeight;
     window.scrollTo(0, document.body.scrollHeight);
@@ -394,11 +797,17 @@ app.get("/ui/:callSid", (req, res) => {
 // EDUCATION MODE (KB RAG)
 // =========================================================
 async function getAIAnswerEducation(callSid, userText) {
-  const answer = await answerFromKB(userText);
+  const tenant = getTenant(getSession(callSid).tenantId);
+  const history = getHistory(callSid);
+  const { answer, query, grounded, citations } = await answerFromKB(userText, tenant, history);
+
+  // Follow-ups build on these turns
+  pushHistory(callSid, "user", userText);
+  pushHistory(callSid, "assistant", answer);
 
-  // Keep transcript + live UI
-  pushTranscript(callSid, "user", userText);
-  pushTranscript(callSid, "assistant", answer);
+  // Keep transcript + live UI (citations shown next to the answer)
+  pushTranscript(callSid, "user", userText, query !== userText ? { query } : {});
+  pushTranscript(callSid, "assistant", answer, { grounded, citations });
 
   return { say: answer, transfer: false };
 }
@@ -408,62 +817,87 @@ async function getAIAnswerEducation(callSid, userText) {
 // HOSPITAL MODE
 // =========================================================
 
-// Demo dataset
-const DOCTORS = [
-  { id: "D001", name: "Dr Arjun Mehta", dept: "Cardiology", location: "Gurgaon", nextSlots: ["Tomorrow 5 PM", "Day after tomorrow 11 AM", "Friday 4 PM"] },
-  { id: "D002", name: "Dr Neha Sharma", dept: "Cardiology", location: "Gurgaon", nextSlots: ["Tomorrow 12 PM", "Thursday 6 PM"] },
-  { id: "D003", name: "Dr Rohan Kapoor", dept: "Orthopedics", location: "Gurgaon", nextSlots: ["Tomorrow 3 PM", "Saturday 10 AM"] },
-  { id: "D004", name: "Dr Simran Kaur", dept: "ENT", location: "Gurgaon", nextSlots: ["Tomorrow 1 PM", "Friday 2 PM"] },
-];
+// Spoken or typed digits -> 10-digit Indian mobile, or null
+function extractPhone(text) {
+  return indianMobile(spokenDigits(text));
+}
 
-const DEPARTMENTS = ["Cardiology", "Orthopedics", "ENT", "Neurology", "Oncology", "Dermatology", "Gastroenterology"];
+function wantsHuman(text) {
+  const t = normalize(text);
+  return ["human","agent","representative","operator","real person","connect me","transfer","talk to someone","call center","agent se","representative se","human se"].some((k) => t.includes(k));
+}
 
-function extractPhone(text) {
-  const t = String(text || "");
-  const m = t.match(/(\+?\d[\d\s-]{9,}\d)/) || t.match(/(\d{10})/);
-  return m ? m[1].replace(/\s|-/g, "") : null;
+function slotLabel(callSid, start) {
+  return formatSlot(new Date(start), getSttLang(callSid));
 }
 
-function detectDept(text) {
+// Yes/no words come from the locale catalogs (English + Hinglish, plus the caller's
+// language); a "no" anywhere ("sahi nahi hai") wins
+function saysYes(text, lang) {
   const t = normalize(text);
-  const aliases = [
-    { k: ["cardio", "cardiology", "heart", "cardiologist"], v: "Cardiology" },
-    { k: ["ortho", "orthopedic", "orthopedics", "bones", "bone"], v: "Orthopedics" },
-    { k: ["ent", "ear", "nose", "throat"], v: "ENT" },
-    { k: ["neuro", "neurology", "brain"], v: "Neurology" },
-    { k: ["onco", "oncology", "cancer"], v: "Oncology" },
-    { k: ["derma", "dermatology", "skin"], v: "Dermatology" },
-    { k: ["gastro", "gastroenterology", "stomach"], v: "Gastroenterology" },
-  ];
-  for (const a of aliases) if (a.k.some((kw) => t.includes(kw))) return a.v;
-  const direct = DEPARTMENTS.find((d) => t.includes(normalize(d)));
-  return direct || null;
+  if (saysNo(t, lang)) return false;
+  return saysWord("yes", t, lang);
 }
 
-function listDoctorsByDept(dept, location = "Gurgaon") {
-  return DOCTORS.filter((x) => normalize(x.dept) === normalize(dept) && normalize(x.location) === normalize(location));
+function saysNo(text, lang) {
+  return saysWord("no", normalize(text), lang);
 }
 
-function findDoctorByName(query) {
-  const q = normalize(query).replace(/^dr\.?\s*/i, "");
-  if (!q) return [];
-  return DOCTORS.filter((d) => normalize(d.name).includes(q)).slice(0, 5);
+// "bye", "no thanks", "धन्यवाद": the caller is done, even in the middle of a booking
+function saysBye(text, lang) {
+  return saysWord("bye", normalize(text), lang);
 }
 
-function wantsHuman(text) {
+// Which booking detail the caller wants to change in review, if any
+const REVIEW_FIELDS = {
+  time: [/\b(time|date|day|slot|samay|waqt|din|tareekh|tarikh)\b/, /समय|वक़्त|वक्त|दिन|तारीख/],
+  name: [/\b(name|naam|spelling)\b/, /नाम/],
+  phone: [/\b(number|phone|mobile)\b/, /नंबर|मोबाइल|फ़ोन|फोन/],
+  doctor: [/\b(doctor|dr|department|dept|vibhag)\b/, /डॉक्टर|विभाग/],
+};
+
+const CHANGE_CUE = /\b(change|wrong|galat|badal\w*|different|another|update|instead|dusra|doosra|alag)\b|बदल|ग़लत|गलत|दूसर|अलग/;
+
+// "yes, the number is right" names a field but is still a yes
+function fieldToChange(text, lang) {
   const t = normalize(text);
-  return ["human","agent","representative","operator","real person","connect me","transfer","talk to someone","call center","agent se","representative se","human se"].some((k) => t.includes(k));
+  if (saysYes(t, lang) && !CHANGE_CUE.test(t)) return null;
+  return Object.keys(REVIEW_FIELDS).find((f) => REVIEW_FIELDS[f].some((re) => re.test(t))) || null;
 }
 
-function looksLikeMedicalAdvice(text) {
+// "2", "second", "option two", "दूसरा" -> 2 (only when that is all the caller said)
+const OPTION_WORDS = [
+  ["1", "one", "first", "ek", "pehla", "pahla", "एक", "पहला"],
+  ["2", "two", "second", "do", "doosra", "dusra", "दो", "दूसरा"],
+  ["3", "three", "third", "teen", "teesra", "tisra", "तीन", "तीसरा"],
+];
+
+function pickOption(text, count) {
+  const w = normalize(text).replace(/[.!?।]/g, "").replace(/^(option|number)\s+/, "").replace(/\s+(wala|vala|वाला)$/, "");
+  const idx = OPTION_WORDS.findIndex((words) => words.includes(w));
+  return idx >= 0 && idx < count ? idx + 1 : null;
+}
+
+function wantsCancel(text) {
   const t = normalize(text);
-  const risky = ["fever","pain","chest pain","breath","bp","blood pressure","diagnose","diagnosis","treatment","medicine","tablet","dose","emergency","vomit","bleeding","pregnant","pregnancy","heart attack","stroke","bukhar","dard","saans","dabav","dawai","emergency"];
-  return risky.some((k) => t.includes(k));
+  return /\b(cancel|cancellation|radd|raddh)\b/.test(t) || /रद्द|कैंसल/.test(t);
 }
 
-function pickSlots(d) {
-  const slots = (d.nextSlots || []).slice(0, 3);
-  return slots.length ? `Next available: ${slots.join(", ")}.` : "Next available slots will be shared by the booking team.";
+function wantsReschedule(text) {
+  const t = normalize(text);
+  return (
+    /\b(reschedule|postpone|prepone)\b/.test(t) ||
+    /\b(change|move|shift)\b.*\bappointment\b/.test(t) ||
+    /\bappointment\b.*\b(badal|badalna|shift)\b/.test(t) ||
+    /रीशेड्यूल/.test(t)
+  );
+}
+
+// STT renders "APT-00E065" as "APT 00E065", "a p t 00e065", ...
+function extractConfirmationId(text) {
+  const compact = String(text || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  const m = compact.match(/APT([0-9A-F]{6})/);
+  return m ? `APT-${m[1]}` : null;
 }
 
 // ✅ Accept ANY utterance as name in COLLECT_NAME (prevents "name asked twice")
@@ -475,35 +909,11 @@ function cleanNameUtterance(text) {
     .trim();
 }
 
-// ✅ Extract preferred time (English-like; good enough for demo)
-function extractPreferredTime(text) {
-  const raw = String(text || "").trim();
-  const tt = normalize(raw);
-
-  const timeWords = ["morning", "evening", "afternoon", "night", "a.m.", "p.m.", "am", "pm"];
-  const dayWords = ["today", "tomorrow", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
-
-  const hasDay = dayWords.some((d) => tt.includes(d));
-  const hasTimeWord = timeWords.some((w) => tt.includes(w));
-  const hasClock =
-    /\b\d{1,2}(:\d{2})?\s*(am|pm|a\.m\.|p\.m\.)\b/i.test(raw) ||
-    /\b\d{1,2}(:\d{2})\b/.test(raw);
-
-  if (!(hasDay || hasTimeWord || hasClock)) return null;
-
-  const m =
-    raw.match(/\b(today|tomorrow|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b[^.]{0,40}/i) ||
-    raw.match(/\b(morning|evening|afternoon|night)\b/i);
-
-  const out = (m?.[0] || raw).trim();
-  return out.replace(/patient\s*name.*$/i, "").trim();
-}
-
 // IMPORTANT:
-// - For Hindi mode we want fully Hindi and deterministic lines (no Hinglish),
-//   so we SKIP OpenAI polish when hi-IN.
+// - Outside English we want the catalog lines as written (no Hinglish or
+//   translation drift), so we SKIP OpenAI polish for every other language.
 async function hospitalPolish(callSid, raw) {
-  if (isHindi(callSid)) return raw;
+  if (!isEnglish(callSid)) return raw;
 
   const lower = String(raw || "").toLowerCase();
   const skip =
@@ -511,15 +921,18 @@ async function hospitalPolish(callSid, raw) {
     lower.includes("mobile") ||
     lower.includes("10-digit") ||
     lower.includes("prefer") ||
-    lower.includes("confirmation") ||
-    lower.includes("appointment request");
+    lower.includes("confirm") ||
+    lower.includes("slot") ||
+    lower.includes("appointment") ||
+    /\d \d \d/.test(lower);
 
-  if (!process.env.OPENAI_API_KEY || skip) return raw;
+  if (skip) return raw;
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    const out = await complete({
+      task: "polish",
       temperature: 0.2,
+      data: { raw },
       messages: [
         {
           role: "system",
@@ -532,7 +945,6 @@ async function hospitalPolish(callSid, raw) {
       ],
     });
 
-    const out = completion.choices?.[0]?.message?.content?.trim();
     const refusalHints = ["i can't","i cant","cannot","personal details","privacy","not able"];
     if (!out || refusalHints.some((h) => out.toLowerCase().includes(h))) return raw;
     return out;
@@ -541,264 +953,497 @@ async function hospitalPolish(callSid, raw) {
   }
 }
 
-// ✅ Build confirmation (Hindi fully Hindi; doctor names remain English)
-async function buildConfirmation(callSid, preferredTimeOverride = null) {
-  const session = getSession(callSid);
-  const { patientName, phone, doctorName, dept } = session.data || {};
-
-  const preferredTime = (preferredTimeOverride || session.data?.preferredTime || "").trim();
-  const confirmationId = `APT-${Math.random().toString(16).slice(2, 8).toUpperCase()}`;
-
-  setSession(callSid, { state: "CONFIRMED", data: { preferredTime, confirmationId } });
-
-  const baseEn =
-    `Done. I’ve raised an appointment request for ${patientName || "the patient"} ` +
-    `${doctorName ? `with ${doctorName}` : ""}${dept ? ` in ${dept}` : ""}. ` +
-    `${preferredTime ? `Preferred time: ${preferredTime}. ` : ""}` +
-    `Confirmation ID is ${confirmationId}. ` +
-    `You will receive confirmation on ${phone || "your number"}.`;
-
-  const baseHi =
-    `ठीक है। मैंने ${patientName || "मरीज़"} के लिए ` +
-    `${doctorName ? `${doctorName} के साथ ` : ""}${dept ? `${dept} विभाग में ` : ""}` +
-    `अपॉइंटमेंट रिक्वेस्ट बना दी है। ` +
-    `${preferredTime ? `पसंदीदा समय: ${preferredTime}। ` : ""}` +
-    `कन्फर्मेशन आईडी: ${confirmationId} है। ` +
-    `पुष्टि संदेश ${phone || "आपके नंबर"} पर आ जाएगा।`;
-
-  const say = await hospitalPolish(callSid, t(callSid, baseEn, baseHi));
-  pushTranscript(callSid, "assistant", say);
-  return { say, transfer: false };
-}
+// ---------- Flow actions ----------
+// The call flow itself (states, prompts, routes) lives in hospital/flow.json; these are
+// the named pieces of code it calls. Actions return the flow step to answer with
+// (see hospital/flow.mjs), optionally with extra prompt vars.
 
-async function getAIAnswerHospital(callSid, userText) {
-  const session = getSession(callSid);
-  const tRaw = (userText || "").trim();
-  const norm = normalize(tRaw);
+function nextSlotsLine(ctx, d) {
+  const slots = nextAvailable(d.id, 3, { callSid: ctx.callSid }).map((s) => slotLabel(ctx.callSid, s.start));
+  return slots.length ? ctx.render("nextAvailable", { slots: slots.join(", ") }) : ctx.render("noSlotsSoon");
+}
 
-  pushTranscript(callSid, "user", tRaw);
+function chooseDoctor(ctx, d) {
+  const { callSid } = ctx;
+  // Review correction: a different doctor keeps the patient and number, then asks the time
+  if (ctx.data.editing === "doctor") {
+    releaseHolds(callSid);
+    setSession(callSid, {
+      data: { doctorId: d.id, doctorName: d.name, dept: d.dept, editing: null, preferredTime: null, slotStart: null },
+    });
+    return { step: "doctorSwitched", vars: { nextSlots: nextSlotsLine(ctx, d) } };
+  }
+  setSession(callSid, { data: { doctorId: d.id, doctorName: d.name, dept: d.dept, rescheduleId: null, preferredTime: null } });
+  return { step: "doctorChosen", vars: { nextSlots: nextSlotsLine(ctx, d) } };
+}
 
-  if (wantsHuman(tRaw) || looksLikeMedicalAdvice(tRaw)) {
-    const say = await hospitalPolish(
-      callSid,
-      t(callSid, "Sure. I’m connecting you to a human representative now.", "ठीक है। मैं आपको अभी एक मानव प्रतिनिधि से जोड़ रहा/रही हूँ।")
-    );
-    pushTranscript(callSid, "assistant", say);
-    return { say, transfer: true };
+// Requested time is taken or outside the doctor's hours: read out the nearest free slots
+function offerAlternatives(ctx, alternatives, request) {
+  const { callSid } = ctx;
+  if (!alternatives.length) {
+    releaseHolds(callSid);
+    return "noSlots";
   }
+  setSession(callSid, { data: { slotOptions: alternatives.map((s) => s.start) } });
+  return {
+    step: "slotAlternatives",
+    vars: {
+      asked: formatWhen(request, getSttLang(callSid)),
+      options: alternatives.map((s, i) => `${i + 1}) ${slotLabel(callSid, s.start)}`).join(", "),
+    },
+  };
+}
 
-  // -----------------------
-  // State machine
-  // -----------------------
+// Holds the slot and reads back every detail for a final yes, or a correction
+function holdAndReview(ctx, start) {
+  const { callSid } = ctx;
+  const { doctorId, rescheduleId } = ctx.data;
+  const slot = holdSlot(doctorId, start, callSid);
+  if (!slot) {
+    const request = { at: new Date(start) };
+    return offerAlternatives(ctx, findSlot(doctorId, request, { callSid }).alternatives, request);
+  }
+  setSession(callSid, { data: { slotStart: slot.start, slotOptions: null, editing: null } });
+  return rescheduleId ? "reviewReschedule" : "review";
+}
 
-  // ✅ FIX: name will be captured even if user just says "Rohit Narwal"
-  if (session.state === "COLLECT_NAME") {
-    const name = cleanNameUtterance(tRaw);
-    const earlyTime = extractPreferredTime(tRaw);
+// Failed tries at the time or the appointment lookup before the booking desk takes over
+const MAX_ATTEMPTS = 3;
 
-    if (name) {
-      setSession(callSid, {
-        state: "COLLECT_PHONE",
-        data: { patientName: name, ...(earlyTime ? { preferredTime: earlyTime } : {}) },
-      });
+// Match what the caller asked for (a parseWhen() result) against the doctor's real slots
+function offerSlot(ctx, request) {
+  if (!request) {
+    const timeAttempts = (ctx.data.timeAttempts || 0) + 1;
+    setSession(ctx.callSid, { data: { timeAttempts } });
+    return timeAttempts >= MAX_ATTEMPTS ? "timeGiveUp" : "timeMissed";
+  }
+  setSession(ctx.callSid, { data: { timeAttempts: 0 } });
+  const { slot, alternatives } = findSlot(ctx.data.doctorId, request, { callSid: ctx.callSid });
+  if (slot) return holdAndReview(ctx, slot.start);
+  return offerAlternatives(ctx, alternatives, request);
+}
 
-      const say = await hospitalPolish(
-        callSid,
-        t(callSid, "Thanks. Please tell me your 10-digit mobile number for confirmation.", "धन्यवाद। कन्फर्मेशन के लिए अपना 10 अंकों का मोबाइल नंबर बताइए।")
-      );
-      pushTranscript(callSid, "assistant", say);
-      return { say, transfer: false };
-    }
+// Reads the number back before it is saved
+function confirmPhoneNumber(ctx, mobile) {
+  setSession(ctx.callSid, { data: { phoneCandidate: mobile, phonePartial: "" } });
+  return "confirmPhone";
+}
 
-    const say = await hospitalPolish(
-      callSid,
-      t(callSid, "Please tell me the patient’s full name.", "कृपया मरीज़ का पूरा नाम बताइए।")
-    );
-    pushTranscript(callSid, "assistant", say);
-    return { say, transfer: false };
-  }
+// Number confirmed: move on to the time (or straight to slots if it was already given)
+function savePhone(ctx, phone) {
+  setSession(ctx.callSid, { data: { phone, phoneCandidate: null, phonePartial: "", phoneAttempts: 0 } });
+  const { editing, slotStart, preferredTime } = ctx.data;
+  if (editing === "phone" && slotStart) return holdAndReview(ctx, slotStart);
+  if (preferredTime) return offerSlot(ctx, preferredTime);
+  return "askTime";
+}
 
-  if (session.state === "COLLECT_PHONE") {
-    const phone = extractPhone(tRaw);
-    if (!phone) {
-      const say = await hospitalPolish(
-        callSid,
-        t(callSid, "Sorry, I didn’t catch the mobile number. Please say the 10-digit number again.", "माफ़ कीजिए, मोबाइल नंबर स्पष्ट नहीं मिला। कृपया 10 अंकों का नंबर फिर से बताइए।")
-      );
-      pushTranscript(callSid, "assistant", say);
-      return { say, transfer: false };
-    }
+// ---------- Existing appointments: cancel / reschedule ----------
+function apptLine(ctx, a) {
+  return `${a.patientName || ctx.render("somePatient")}, ${a.doctorName}, ${slotLabel(ctx.callSid, a.start)}`;
+}
 
-    setSession(callSid, { data: { phone } });
-
-    const alreadyTime = (getSession(callSid).data?.preferredTime || "").trim();
-    if (alreadyTime) return buildConfirmation(callSid, alreadyTime);
-
-    setSession(callSid, { state: "COLLECT_TIME" });
-    const say = await hospitalPolish(
-      callSid,
-      t(
-        callSid,
-        "Great. What day or time do you prefer? For example, tomorrow evening or Friday morning.",
-        "बहुत बढ़िया। आप किस दिन या किस समय का अपॉइंटमेंट चाहेंगे? जैसे कल शाम या शुक्रवार सुबह।"
-      )
-    );
-    pushTranscript(callSid, "assistant", say);
-    return { say, transfer: false };
+// Found the caller's appointment: ask to confirm a cancel, or ask for the new time
+function actOnAppointment(ctx, a) {
+  const vars = { appointment: apptLine(ctx, a) };
+  if (ctx.data.manageAction === "reschedule") {
+    setSession(ctx.callSid, {
+      data: {
+        rescheduleId: a.confirmationId,
+        doctorId: a.doctorId,
+        doctorName: a.doctorName,
+        dept: a.dept,
+        patientName: a.patientName,
+        phone: a.phone,
+        manageOptions: null,
+      },
+    });
+    return { step: "manageReschedule", vars };
   }
+  setSession(ctx.callSid, { data: { manageId: a.confirmationId, manageOptions: null } });
+  return { step: "manageCancel", vars };
+}
 
-  if (session.state === "COLLECT_TIME") {
-    return buildConfirmation(callSid, tRaw);
+// Identify the booking by confirmation ID or by the phone number it was made with
+function lookupAppointment(ctx, firstTurn = false) {
+  const id = extractConfirmationId(ctx.text);
+  const phone = id ? null : extractPhone(ctx.text);
+  const now = new Date().toISOString();
+
+  let found = [];
+  if (id) {
+    const a = getAppointment(id);
+    if (a && a.status === "booked" && a.start > now) found = [a];
+  } else if (phone) {
+    found = listAppointments({ phone, status: "booked", upcoming: true });
   }
 
-  // -----------------------
-  // Routing logic (IMPORTANT FIX: do NOT ask name/phone before dept/doctor)
-  // -----------------------
-  const dept = detectDept(tRaw);
-  const hasDr = norm.includes("dr ") || norm.includes("dr.") || norm.includes("doctor ");
-
-  // If caller says doctor name directly
-  if (hasDr) {
-    let q = tRaw;
-    const idx = norm.indexOf("dr");
-    const idx2 = norm.indexOf("doctor");
-    if (idx2 >= 0) q = tRaw.slice(idx2 + "doctor".length).trim();
-    else if (idx >= 0) q = tRaw.slice(idx + 2).trim();
-
-    const matches = findDoctorByName(q);
-
-    if (matches.length === 1) {
-      const d = matches[0];
-      setSession(callSid, { state: "COLLECT_NAME", data: { doctorName: d.name, dept: d.dept } });
-
-      const say = await hospitalPolish(
-        callSid,
-        t(
-          callSid,
-          `Sure. ${d.name} is in ${d.dept}. ${pickSlots(d)} To book, please tell me the patient’s full name.`,
-          `ठीक है। ${d.name}, ${d.dept} विभाग में हैं। ${pickSlots(d)} बुक करने के लिए कृपया मरीज़ का पूरा नाम बताइए।`
-        )
-      );
-      pushTranscript(callSid, "assistant", say);
-      return { say, transfer: false };
-    }
+  if (found.length === 1) return actOnAppointment(ctx, found[0]);
 
-    const say = await hospitalPolish(
-      callSid,
-      t(
-        callSid,
-        "I couldn’t find that doctor. Please say the department, for example cardiology, orthopedics or ENT.",
-        "वह डॉक्टर सूची में नहीं मिल रहे हैं। कृपया विभाग बताइए—जैसे Cardiology, Orthopedics या ENT।"
-      )
-    );
-    pushTranscript(callSid, "assistant", say);
-    return { say, transfer: false };
+  if (found.length > 1) {
+    const options = found.slice(0, 3);
+    setSession(ctx.callSid, { data: { manageOptions: options.map((a) => a.confirmationId) } });
+    return {
+      step: "managePick",
+      vars: { count: found.length, options: options.map((a, i) => `${i + 1}) ${apptLine(ctx, a)}`).join(", ") },
+    };
   }
 
-  // If caller says department
-  if (dept) {
-    const docs = listDoctorsByDept(dept, "Gurgaon");
-    if (!docs.length) {
-      const say = await hospitalPolish(
-        callSid,
-        t(
-          callSid,
-          `I don’t have doctors listed for ${dept} right now. Would you like to connect to an agent?`,
-          `अभी ${dept} विभाग के डॉक्टर सूची में उपलब्ध नहीं हैं। क्या आप एजेंट से बात करना चाहेंगे?`
-        )
-      );
-      pushTranscript(callSid, "assistant", say);
-      return { say, transfer: false };
-    }
-
-    setSession(callSid, { state: "ASK_BOOK_OR_LIST_MORE", data: { dept } });
-
-    // Doctor names must remain in English
-    const names = docs.slice(0, 3).map((d, i) => `${d.name} (${i + 1})`).join(", ");
-
-    const say = await hospitalPolish(
-      callSid,
-      t(
-        callSid,
-        `${dept} doctors include ${names}. Which one would you like to book? You can say the doctor’s name or 1/2.`,
-        `${dept} विभाग में ये डॉक्टर उपलब्ध हैं: ${names}। आप किसका अपॉइंटमेंट बुक करना चाहेंगे? आप डॉक्टर का नाम या 1/2 बोल सकते हैं।`
-      )
-    );
-    pushTranscript(callSid, "assistant", say);
-    return { say, transfer: false };
-  }
+  if (firstTurn && !id && !phone) return "manageAsk";
+  const manageAttempts = (ctx.data.manageAttempts || 0) + 1;
+  setSession(ctx.callSid, { data: { manageAttempts } });
+  return manageAttempts >= MAX_ATTEMPTS ? "manageGiveUp" : "manageNotFound";
+}
 
-  // After listing doctors, choose one
-  if (session.state === "ASK_BOOK_OR_LIST_MORE") {
-    const num = parseInt(norm, 10);
-    if (!Number.isNaN(num)) {
-      const dept2 = session.data?.dept;
-      const docs = dept2 ? listDoctorsByDept(dept2, "Gurgaon") : [];
-      const d = docs[num - 1];
-      if (d) {
-        setSession(callSid, { state: "COLLECT_NAME", data: { doctorName: d.name, dept: d.dept } });
-
-        const say = await hospitalPolish(
-          callSid,
-          t(
-            callSid,
-            `Sure. ${d.name}. ${pickSlots(d)} To book, please tell me the patient’s full name.`,
-            `ठीक है। ${d.name}। ${pickSlots(d)} बुक करने के लिए कृपया मरीज़ का पूरा नाम बताइए।`
-          )
-        );
-        pushTranscript(callSid, "assistant", say);
-        return { say, transfer: false };
+const MANAGE_STEPS = ["manageReschedule", "manageCancel", "managePick", "manageAsk", "manageNotFound", "manageGiveUp"];
+const REVIEW_STEPS = ["review", "reviewReschedule", "slotAlternatives", "noSlots"];
+const OFFER_STEPS = ["timeMissed", "timeGiveUp", ...REVIEW_STEPS];
+
+const flowPredicates = {
+  yes: (ctx) => saysYes(ctx.text, getSttLang(ctx.callSid)),
+  no: (ctx) => saysNo(ctx.text, getSttLang(ctx.callSid)),
+  goodbye: (ctx) => saysBye(ctx.text, getSttLang(ctx.callSid)),
+  wantsHuman: (ctx) => wantsHuman(ctx.text),
+  emergency: (ctx) => classifySafety(ctx.text)?.tier === "emergency",
+  medical: (ctx) => classifySafety(ctx.text)?.tier === "medical",
+  manageIntent: (ctx) => wantsReschedule(ctx.text) || wantsCancel(ctx.text),
+  mentionsDoctor: (ctx) => ["dr ", "dr.", "doctor "].some((k) => normalize(ctx.text).includes(k)),
+  mentionsDept: (ctx) => !!detectDept(ctx.text),
+};
+
+const flowExtractors = {
+  when: { slots: ["when"], run: (ctx) => ({ when: parseWhen(ctx.text) }) },
+  // "Rohit Narwal, kal shaam" gives both the name and the preferred time
+  nameAndTime: {
+    slots: ["name", "when"],
+    run: (ctx) => {
+      const { when, rest } = splitWhen(ctx.text);
+      return { name: cleanNameUtterance(rest), when };
+    },
+  },
+  digits: {
+    slots: ["digits", "mobile"],
+    run: (ctx) => {
+      const digits = spokenDigits(ctx.text);
+      return { digits, mobile: indianMobile(digits) };
+    },
+  },
+  field: { slots: ["field"], run: (ctx) => ({ field: fieldToChange(ctx.text, getSttLang(ctx.callSid)) }) },
+  // { use: "option", from: "<data key holding the offered list>" }
+  option: { slots: ["option"], run: (ctx, { from }) => ({ option: pickOption(ctx.text, (ctx.data[from] || []).length) }) },
+  // After a department listing: "2" or a doctor's name
+  doctorChoice: {
+    slots: ["doctor"],
+    run: (ctx) => {
+      const num = parseInt(normalize(ctx.text), 10);
+      if (!Number.isNaN(num)) {
+        const docs = ctx.data.dept ? listDoctorsByDept(ctx.data.dept, "Gurgaon") : [];
+        if (docs[num - 1]) return { doctor: docs[num - 1] };
+      }
+      const matches = findDoctorByName(ctx.text);
+      return { doctor: matches.length === 1 ? matches[0] : null };
+    },
+  },
+};
+
+const flowActions = {
+  // Emergency guidance is fixed text (no LLM polish) so it plays without delay.
+  // Without an emergency line the guidance is followed by the agent line; with neither,
+  // the caller is told to ring the public number and the call ends.
+  escalateEmergency: {
+    steps: ["emergencyDial", "emergencyAgent", "emergencyNoLine"],
+    run: (ctx) => {
+      const safety = classifySafety(ctx.text);
+      const number = EMERGENCY_LINE || AGENT_NUMBER;
+      releaseHolds(ctx.callSid);
+      logEscalation({ callSid: ctx.callSid, ...safety, text: ctx.text, action: number ? "dial" : "no-line", number: number || null });
+      setSession(ctx.callSid, { data: { escalation: safety.tier } });
+      if (EMERGENCY_LINE) return "emergencyDial";
+      return AGENT_NUMBER ? "emergencyAgent" : "emergencyNoLine";
+    },
+  },
+  // Symptoms and medicine questions go to the nurse line; without one, the caller is
+  // steered back to booking rather than dropped.
+  escalateMedical: {
+    steps: ["nurseTransfer", "medicalNoLine"],
+    run: (ctx) => {
+      const safety = classifySafety(ctx.text);
+      logEscalation({ callSid: ctx.callSid, ...safety, text: ctx.text, action: NURSE_LINE ? "dial" : "no-line", number: NURSE_LINE || null });
+      setSession(ctx.callSid, { data: { escalation: safety.tier } });
+      return NURSE_LINE ? "nurseTransfer" : "medicalNoLine";
+    },
+  },
+  releaseHolds: { steps: [], run: (ctx) => releaseHolds(ctx.callSid) },
+
+  doctorByName: {
+    steps: ["doctorChosen", "doctorSwitched", "doctorNotFound"],
+    run: (ctx) => {
+      const norm = normalize(ctx.text);
+      const idx = norm.indexOf("dr");
+      const idx2 = norm.indexOf("doctor");
+      let q = ctx.text;
+      if (idx2 >= 0) q = ctx.text.slice(idx2 + "doctor".length).trim();
+      else if (idx >= 0) q = ctx.text.slice(idx + 2).trim();
+
+      const matches = findDoctorByName(q);
+      return matches.length === 1 ? chooseDoctor(ctx, matches[0]) : "doctorNotFound";
+    },
+  },
+  chooseDoctor: { steps: ["doctorChosen", "doctorSwitched"], run: (ctx) => chooseDoctor(ctx, ctx.slots.doctor) },
+  listDept: {
+    steps: ["deptDoctors", "deptEmpty"],
+    run: (ctx) => {
+      const dept = detectDept(ctx.text);
+      const docs = listDoctorsByDept(dept, "Gurgaon");
+      if (!docs.length) return { step: "deptEmpty", vars: { dept } };
+      setSession(ctx.callSid, { data: { dept } });
+      // Doctor names must remain in English
+      return { step: "deptDoctors", vars: { dept, doctors: docs.slice(0, 3).map((d, i) => `${d.name} (${i + 1})`).join(", ") } };
+    },
+  },
+
+  saveName: {
+    steps: [],
+    run: (ctx) => {
+      const { name, when } = ctx.slots;
+      if (when) setSession(ctx.callSid, { data: { preferredTime: when } });
+      if (name) setSession(ctx.callSid, { data: { patientName: name } });
+    },
+  },
+  // Offer the caller ID as the confirmation number when it is an Indian mobile
+  askPhone: {
+    steps: ["askPhoneCallerId", "askPhone"],
+    run: (ctx) => {
+      const callerId = indianMobile(ctx.session.callerId);
+      setSession(ctx.callSid, { data: { phoneCandidate: callerId, phonePartial: "", phoneAttempts: 0 } });
+      return callerId ? { step: "askPhoneCallerId", vars: { callerIdEnding: readBack(callerId.slice(-4)) } } : "askPhone";
+    },
+  },
+  useCandidatePhone: { steps: ["askTime", ...OFFER_STEPS], run: (ctx) => savePhone(ctx, ctx.data.phoneCandidate) },
+  confirmPhone: { steps: ["confirmPhone"], run: (ctx) => confirmPhoneNumber(ctx, ctx.slots.mobile) },
+  // The number may come in parts; after three failed attempts the booking desk takes over
+  collectDigits: {
+    steps: ["confirmPhone", "phonePartial", "phoneInvalid", "phoneMissed", "phoneGiveUp"],
+    run: (ctx) => {
+      const { phonePartial = "", phoneAttempts = 0 } = ctx.data;
+      const { digits } = ctx.slots;
+      const collected = phonePartial + digits;
+      const mobile = indianMobile(collected);
+      if (mobile) return confirmPhoneNumber(ctx, mobile);
+
+      if (digits && collected.length < 10) {
+        setSession(ctx.callSid, { data: { phonePartial: collected } });
+        return { step: "phonePartial", vars: { partialReadBack: readBack(collected) } };
       }
-    }
 
-    const matches = findDoctorByName(tRaw);
-    if (matches.length === 1) {
-      const d = matches[0];
-      setSession(callSid, { state: "COLLECT_NAME", data: { doctorName: d.name, dept: d.dept } });
-
-      const say = await hospitalPolish(
-        callSid,
-        t(
-          callSid,
-          `Sure. ${d.name}. ${pickSlots(d)} To book, please tell me the patient’s full name.`,
-          `ठीक है। ${d.name}। ${pickSlots(d)} बुक करने के लिए कृपया मरीज़ का पूरा नाम बताइए।`
-        )
-      );
+      const attempts = phoneAttempts + 1;
+      setSession(ctx.callSid, { data: { phonePartial: "", phoneAttempts: attempts, phoneCandidate: null } });
+      if (attempts >= MAX_ATTEMPTS) return "phoneGiveUp";
+      return digits ? { step: "phoneInvalid", vars: { partialReadBack: readBack(collected) } } : "phoneMissed";
+    },
+  },
+
+  offerSlot: { steps: OFFER_STEPS, run: (ctx) => offerSlot(ctx, ctx.slots.when) },
+  pickSlotOption: { steps: REVIEW_STEPS, run: (ctx) => holdAndReview(ctx, ctx.data.slotOptions[ctx.slots.option - 1]) },
+  // Correcting the name from review: back to the read-back with the same slot
+  reviewHeldSlot: { steps: REVIEW_STEPS, run: (ctx) => holdAndReview(ctx, ctx.data.slotStart) },
+  book: {
+    steps: ["booked", "rescheduled", "slotAlternatives", "noSlots"],
+    run: (ctx) => {
+      const { doctorId, slotStart, patientName, phone, doctorName, dept, rescheduleId } = ctx.data;
+      let booking;
+      try {
+        booking = rescheduleId
+          ? rescheduleSlot(rescheduleId, slotStart, ctx.callSid)
+          : bookSlot(doctorId, slotStart, ctx.callSid, { patientName, phone, doctorName, dept });
+      } catch (e) {
+        if (e?.status !== 409) throw e;
+        const request = { at: new Date(slotStart) };
+        return offerAlternatives(ctx, findSlot(doctorId, request, { callSid: ctx.callSid }).alternatives, request);
+      }
+      setSession(ctx.callSid, {
+        data: { confirmationId: booking.confirmationId, slotStart: booking.start, slotOptions: null, rescheduleId: null, preferredTime: null },
+      });
+      return rescheduleId ? "rescheduled" : "booked";
+    },
+  },
+
+  startManage: {
+    steps: MANAGE_STEPS,
+    run: (ctx) => {
+      const manageAction = wantsReschedule(ctx.text) ? "reschedule" : "cancel";
+      setSession(ctx.callSid, { data: { manageAction, manageOptions: null, manageAttempts: 0 } });
+      return lookupAppointment(ctx, true);
+    },
+  },
+  lookupAppointment: { steps: MANAGE_STEPS, run: (ctx) => lookupAppointment(ctx) },
+  pickAppointment: {
+    steps: MANAGE_STEPS,
+    run: (ctx) => {
+      const a = getAppointment(ctx.data.manageOptions[ctx.slots.option - 1]);
+      return a ? actOnAppointment(ctx, a) : lookupAppointment(ctx);
+    },
+  },
+  cancelAppointment: {
+    steps: ["cancelled", "keptAppointment"],
+    run: (ctx) => {
+      const a = getAppointment(ctx.data.manageId);
+      setSession(ctx.callSid, { data: { manageId: null } });
+      if (!a) return "keptAppointment";
+      cancelAppointment(a.confirmationId, { by: ctx.callSid });
+      return { step: "cancelled", vars: { appointmentId: a.confirmationId, appointmentWhen: slotLabel(ctx.callSid, a.start) } };
+    },
+  },
+};
+
+const hospitalFlow = createFlow(
+  process.env.HOSPITAL_FLOW_PATH || path.join(process.cwd(), "hospital", "flow.json"),
+  {
+    prompts: messageIds("hospital.").map((id) => id.slice("hospital.".length)),
+    predicates: flowPredicates,
+    extractors: flowExtractors,
+    actions: flowActions,
+    transfers: ["agent", "emergency", "nurse"],
+  },
+  {
+    getSession,
+    setSession,
+    prompt: (callSid, id) => template(getSttLang(callSid), `hospital.${id}`),
+    globals: (ctx) => {
+      const { slotStart, phone, phoneCandidate, patientName } = ctx.data;
+      return {
+        hospital: HOSPITAL_NAME,
+        emergencyNumber: PUBLIC_EMERGENCY_NUMBER,
+        slotWhen: slotStart ? slotLabel(ctx.callSid, slotStart) : "",
+        phoneReadBack: readBack(phone),
+        candidateReadBack: readBack(phoneCandidate),
+        patientLabel: patientName || ctx.render("somePatient"),
+      };
+    },
+    speak: async (callSid, text, step) => {
+      const say = step.polish === false ? text : await hospitalPolish(callSid, text);
       pushTranscript(callSid, "assistant", say);
-      return { say, transfer: false };
-    }
-
-    const say = await hospitalPolish(
-      callSid,
-      t(
-        callSid,
-        "Please say the full doctor name (or 1/2), or say ‘agent’ to connect to a human representative.",
-        "कृपया डॉक्टर का पूरा नाम (या 1/2) बोलिए, या एजेंट से जुड़ने के लिए ‘agent’ बोलिए।"
-      )
-    );
-    pushTranscript(callSid, "assistant", say);
-    return { say, transfer: false };
+      return say;
+    },
   }
+);
 
-  // ✅ MAIN FIX for “appointment chahiye” cases:
-  // Instead of asking name/phone, ask department or doctor first.
-  const say = await hospitalPolish(
-    callSid,
-    t(
-      callSid,
-      `I can help with appointments at ${HOSPITAL_NAME}. Please say a department like cardiology, orthopedics, ENT, or say Dr followed by the doctor’s name.`,
-      `${HOSPITAL_NAME} में अपॉइंटमेंट के लिए कृपया विभाग बताइए—जैसे Cardiology, Orthopedics, ENT—या फिर डॉक्टर का नाम बोलिए, जैसे “Dr Neha Sharma”。`
-    )
+// States where the caller is answering a booking question, so "no" / "theek hai"
+// are answers rather than goodbyes and the generic "Anything else?" is not asked
+function inBooking(callSid) {
+  return hospitalFlow.isBooking(getSession(callSid)?.state);
+}
+
+const TRANSFER_LINES = { agent: AGENT_NUMBER, emergency: EMERGENCY_LINE, nurse: NURSE_LINE };
+
+async function getAIAnswerHospital(callSid, userText) {
+  const tRaw = (userText || "").trim();
+  pushTranscript(callSid, "user", tRaw);
+
+  const { say, transfer, hangup } = await hospitalFlow.run(callSid, tRaw);
+  return transfer ? { say, transfer: true, dial: TRANSFER_LINES[transfer] } : { say, transfer: false, hangup };
+}
+
+// =========================================================
+// Call modes
+// =========================================================
+// Catalog lines without placeholders, as [{ lang, text }] for each language
+function fixedMessages(prefix, langs) {
+  return langs.flatMap((lang) =>
+    messageIds(prefix)
+      .map((id) => template(lang, id))
+      .filter((text) => !/\{\w+\}/.test(text))
+      .map((text) => ({ lang, text }))
   );
-  pushTranscript(callSid, "assistant", say);
-  return { say, transfer: false };
+}
+
+// "no" / "bye" words from the locale catalogs, matched as whole words ("I want to know" is not a "no")
+function wantsToEnd(callSid, text) {
+  const lang = getSttLang(callSid);
+  return saysNo(text, lang) || saysBye(text, lang);
+}
+
+registerMode({
+  id: "education",
+  // Institution picked by ?tenant= or else by the dialled number
+  startCall: ({ to, query }) => ({ tenantId: (query.tenant ? getTenant(String(query.tenant)) : tenantForNumber(to)).id }),
+  greeting: (callSid) => getTenant(getSession(callSid).tenantId).greeting,
+  sttLang: () => "en-US",
+  answer: getAIAnswerEducation,
+  followUp: (callSid, { first }) => callerLine(callSid, first ? "education.followUpFirst" : "education.followUp"),
+  endOfCall: (callSid, text) => (wantsToEnd(callSid, text) ? callerLine(callSid, "education.goodbye") : null),
+  staticPrompts: () => [
+    ...listTenants().map((t) => ({ lang: "en-US", text: t.greeting })),
+    ...fixedMessages("education.", ["en-US"]),
+  ],
+});
+
+registerMode({
+  id: "hospital",
+  autoSwitchLang: true,
+  startCall: () => ({ lang: "en-IN" }),
+  greeting: (callSid) => callerLine(callSid, "hospital.greeting", { hospital: HOSPITAL_NAME, languages: languageList(getSttLang(callSid)) }),
+  sttLang: (session) => session.lang || "en-IN",
+  answer: getAIAnswerHospital,
+  followUp: (callSid) => (inBooking(callSid) ? null : callerLine(callSid, "hospital.anythingElse")),
+  freeText: (callSid) => hospitalFlow.isFreeText(getSession(callSid)?.state),
+  // Calls start in en-IN, so the greeting is only ever heard in English
+  staticPrompts: () => [
+    { lang: "en-IN", text: message("en-IN", "hospital.greeting", { hospital: HOSPITAL_NAME, languages: languageList("en-IN") }) },
+    ...fixedMessages("hospital.", languages().map((l) => l.stt)),
+  ],
+  // Mid-booking "no" is an answer, and "no, he has chest pain" must reach the safety check
+  endOfCall: (callSid, text) => {
+    if (inBooking(callSid) || classifySafety(text) || !wantsToEnd(callSid, text)) return null;
+    return callerLine(callSid, "hospital.goodbye");
+  },
+});
+
+const modePlugins = await loadModePlugins({ getSession, setSession, pushTranscript, getHistory, pushHistory, complete, normalize });
+if (!getMode(MODE)) throw new Error(`MODE=${MODE} is not a registered call mode (${listModes().join(", ")})`);
+
+// Synthesizes every mode's fixed lines plus the handlers' call.* lines in the languages
+// those modes speak, one at a time, so the first caller to hear them is not kept waiting.
+// Off with TTS_PREWARM=0; skipped without a TTS provider, and stopped when every
+// provider's circuit opens.
+async function prewarmTts() {
+  if (process.env.TTS_PREWARM === "0") return;
+  if (!ttsHealth().some((p) => p.configured)) {
+    console.log("TTS pre-warm skipped: no TTS provider is configured");
+    return;
+  }
+
+  const lines = listModes().flatMap((id) => getMode(id).staticPrompts?.() || []);
+  lines.push(...fixedMessages("call.", [...new Set(lines.map((l) => l.lang))]));
+
+  let made = 0;
+  let cached = 0;
+  let failed = 0;
+  const seen = new Set();
+  for (const { lang, text } of lines) {
+    if (seen.has(`${lang}\n${text}`)) continue;
+    seen.add(`${lang}\n${text}`);
+    if (hasSpeech(text, lang)) {
+      cached++;
+      continue;
+    }
+    if (!ttsAvailable()) {
+      console.warn("TTS pre-warm stopped: every provider's circuit is open");
+      break;
+    }
+    try {
+      await speech(text, lang);
+      made++;
+    } catch (e) {
+      failed++;
+      console.error(`TTS pre-warm failed (${lang}) "${text.slice(0, 40)}":`, e?.message);
+    }
+  }
+  console.log(`TTS pre-warm: ${made} synthesized, ${cached} already cached, ${failed} failed`);
 }
 
 async function getAIAnswer(callSid, userText) {
-  const session = getSession(callSid);
-  return (session.mode || MODE) === "hospital"
-    ? getAIAnswerHospital(callSid, userText)
-    : getAIAnswerEducation(callSid, userText);
+  return modeOf(callSid).answer(callSid, userText);
 }
 
 // =========================================================
@@ -818,39 +1463,106 @@ function gatherBlock(twiml, callSid, actionPath) {
   });
 }
 
-app.post("/welcome", (req, res) => {
+// ------------------------------
+// Webhook protection (security/)
+// ------------------------------
+// Signed by Twilio, or a /tts URL our own TwiML handed out
+function signedRequest(req) {
+  if (req.path === "/tts") {
+    return validTtsSignature(String(req.query.text || ""), String(req.query.lang || "en-IN"), req.query.exp, req.query.sig);
+  }
+  return signatureCheckEnabled() && validTwilioSignature(req.headers["x-twilio-signature"], `${BASE_URL}${req.originalUrl}`, req.body);
+}
+
+// Blocked or over-limit IPs are turned away before any work is done. Signed requests
+// skip the IP limit: every call's webhooks and audio come from Twilio's few addresses,
+// and the per-number limits in requireTwilio cover them.
+function guardIp(req, res, next) {
+  const ip = normalizeIp(req.ip);
+  if (blocked({ ip })) {
+    console.warn(`Blocked IP ${ip} on ${req.path}`);
+    return res.status(403).send("Forbidden");
+  }
+  if (signedRequest(req)) return next();
+  const limit = hit("ip", ip);
+  if (!limit.ok) {
+    if (limit.firstOver) console.warn(`IP rate limit for ${ip} on ${req.path}`);
+    res.set("Retry-After", String(limit.retryAfterSec));
+    return res.status(429).send("Too many requests");
+  }
+  next();
+}
+
+// X-Twilio-Signature over BASE_URL + the requested path, then the caller's number:
+// blocked numbers are refused, and each number has a budget of new calls ("call",
+// /welcome) and speech turns ("turn", the other webhooks)
+function requireTwilio(kind) {
+  return (req, res, next) => {
+    if (signatureCheckEnabled()) {
+      if (!validTwilioSignature(req.headers["x-twilio-signature"], `${BASE_URL}${req.originalUrl}`, req.body)) {
+        console.warn(`Unsigned or forged ${req.path} from ${normalizeIp(req.ip)}`);
+        return res.status(403).send("Invalid Twilio signature");
+      }
+    }
+
+    const from = req.body.From;
+    const twiml = new twilio.twiml.VoiceResponse();
+    const block = blocked({ number: from });
+    const limit = block ? null : hit(kind, callerKey(from));
+    if (!block && limit.ok) return next();
+
+    if (block) console.warn(`Blocked number ${from} on ${req.path}`);
+    else if (limit.firstOver) console.warn(`Rate limit (${kind}) for ${from} on ${req.path}`);
+    // <Reject> only works as the answer to a new call
+    if (kind === "call") twiml.reject();
+    else twiml.hangup();
+    return res.type("text/xml").send(twiml.toString());
+  };
+}
+
+app.post("/welcome", guardIp, requireTwilio("call"), async (req, res) => {
   try {
     const twiml = new twilio.twiml.VoiceResponse();
     const callSid = req.body.CallSid;
     const from = req.body.From || null;
     const to = req.body.To || null;
 
-    const modeFromQuery = (req.query.mode || "").toString().toLowerCase();
-    const mode = modeFromQuery === "hospital" || modeFromQuery === "education" ? modeFromQuery : MODE;
+    const mode = getMode(req.query.mode) || getMode(modeForNumber(to)) || getMode(MODE);
+    const fields = mode.startCall({ callSid, from, to, query: req.query });
 
-    rememberCall(callSid, { ts: new Date().toISOString(), from, to, mode });
-    setSession(callSid, { mode, state: "NEW", lang: mode === "hospital" ? "en-IN" : null, data: {} });
+    rememberCall(callSid, { ts: new Date().toISOString(), from, to, mode: mode.id, ...(fields.tenantId ? { tenantId: fields.tenantId } : {}) });
+    setSession(callSid, { mode: mode.id, tenantId: null, callerId: from, state: "NEW", lang: null, data: {}, ...fields });
 
-    const greeting =
-      mode === "hospital"
-        ? `Hello! You’ve reached ${HOSPITAL_NAME} appointment assistance by Cavas AI. You can speak in Hindi or English. How can I help?`
-        : "Hello! Welcome to Cavas AI admissions assistant. How can I help you today?";
+    const greeting = mode.greeting(callSid);
 
     const sttLang = getSttLang(callSid);
     const gather = gatherBlock(twiml, callSid, "/handle-input");
-    gather.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent(greeting)}`);
+    await speak(gather, greeting, sttLang);
 
     return res.type("text/xml").send(twiml.toString());
   } catch (e) {
     console.error("/welcome error:", e);
     const twiml = new twilio.twiml.VoiceResponse();
-    twiml.say("Sorry, something went wrong. Please try again.");
+    twiml.say(twilioSay("en-IN"), message("en-IN", "call.error"));
     twiml.hangup();
     return res.type("text/xml").send(twiml.toString());
   }
 });
 
-app.post("/handle-input", async (req, res) => {
+// Dials result.dial (a safety line) or the agent line; hangs up when there is nowhere to send the call
+async function endWithTransfer(twiml, sttLang, result) {
+  const number = result.transfer ? result.dial || AGENT_NUMBER : "";
+  if (number) {
+    twiml.dial(number);
+    return;
+  }
+  if (result.transfer) {
+    await speak(twiml, message(sttLang, "call.transferUnavailable"), sttLang);
+  }
+  twiml.hangup();
+}
+
+app.post("/handle-input", guardIp, requireTwilio("turn"), async (req, res) => {
   const twiml = new twilio.twiml.VoiceResponse();
   const callSid = req.body.CallSid;
 
@@ -860,115 +1572,422 @@ app.post("/handle-input", async (req, res) => {
     if (!speech) {
       const sttLang = getSttLang(callSid);
       const gather = gatherBlock(twiml, callSid, "/handle-followup");
-      const msg = sttLang === "hi-IN"
-        ? "माफ़ कीजिए, आपकी आवाज़ स्पष्ट नहीं आई। कृपया फिर से बोलिए।"
-        : "Sorry, I didn’t catch that. Please say it again.";
-      gather.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent(msg)}`);
+      const msg = message(sttLang, "call.didNotCatch");
+      await speak(gather, msg, sttLang);
       return res.type("text/xml").send(twiml.toString());
     }
 
-    const pref = detectLangPreference(speech);
+    const mode = modeOf(callSid);
+    const pref = mode.autoSwitchLang && detectLanguage(speech, getSttLang(callSid), { names: !mode.freeText?.(callSid) });
     if (pref) setSession(callSid, { lang: pref });
 
     const result = await getAIAnswer(callSid, speech);
     const sttLang = getSttLang(callSid);
 
-    twiml.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent(result.say)}`);
+    await speak(twiml, result.say, sttLang);
 
-    if (result.transfer) {
-      if (!AGENT_NUMBER) {
-        twiml.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent("Transfer is not configured right now. Please try again later.")}`);
-        twiml.hangup();
-        return res.type("text/xml").send(twiml.toString());
-      }
-      twiml.dial(AGENT_NUMBER);
+    if (result.transfer || result.hangup) {
+      await endWithTransfer(twiml, sttLang, result);
       return res.type("text/xml").send(twiml.toString());
     }
 
-    const mode = (getSession(callSid)?.mode || MODE);
     const gather = gatherBlock(twiml, callSid, "/handle-followup");
-
-    if (mode === "education") {
-      gather.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent("Would you like to ask another question? You can ask now or say no.")}`);
-    } else {
-      const shortPrompt = sttLang === "hi-IN" ? "क्या मैं आपकी और मदद करूँ?" : "Anything else?";
-      gather.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent(shortPrompt)}`);
-    }
+    const followUp = mode.followUp(callSid, { first: true });
+    if (followUp) await speak(gather, followUp, sttLang);
 
     return res.type("text/xml").send(twiml.toString());
   } catch (e) {
     console.error("/handle-input error callSid=", callSid, e);
     const sttLang = getSttLang(callSid);
-    twiml.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent("Sorry, I faced a technical issue. Please try again.")}`);
+    await speak(twiml, message(sttLang, "call.technicalIssue"), sttLang);
     twiml.hangup();
     return res.type("text/xml").send(twiml.toString());
   }
 });
 
-app.post("/handle-followup", async (req, res) => {
+app.post("/handle-followup", guardIp, requireTwilio("turn"), async (req, res) => {
   const twiml = new twilio.twiml.VoiceResponse();
   const callSid = req.body.CallSid;
 
   try {
     const raw = (req.body.SpeechResult || "").trim();
-    const speechLower = raw.toLowerCase();
+    const mode = modeOf(callSid);
 
-    const pref = detectLangPreference(raw);
+    const pref = mode.autoSwitchLang && detectLanguage(raw, getSttLang(callSid), { names: !mode.freeText?.(callSid) });
     if (pref) setSession(callSid, { lang: pref });
 
     const sttLang = getSttLang(callSid);
-    const mode = (getSession(callSid)?.mode || MODE);
 
     if (!raw) {
       const gather = gatherBlock(twiml, callSid, "/handle-followup");
-      const msg = sttLang === "hi-IN" ? "माफ़ कीजिए, कृपया फिर से बोलिए।" : "Sorry, please say that again.";
-      gather.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent(msg)}`);
+      const msg = message(sttLang, "call.sayAgain");
+      await speak(gather, msg, sttLang);
       return res.type("text/xml").send(twiml.toString());
     }
 
-    const endWords = ["no", "bye", "thanks", "thank you", "that is all", "nahi", "nahin", "bas", "theek hai", "ok bye"];
-    if (endWords.some((w) => speechLower.includes(w))) {
-      const bye = sttLang === "hi-IN" ? "धन्यवाद। अलविदा।" : "Thank you for calling. Goodbye.";
-      twiml.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent(bye)}`);
+    const bye = mode.endOfCall(callSid, raw);
+    if (bye) {
+      await speak(twiml, bye, sttLang);
       twiml.hangup();
       return res.type("text/xml").send(twiml.toString());
     }
 
     const result = await getAIAnswer(callSid, raw);
-    twiml.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent(result.say)}`);
+    await speak(twiml, result.say, sttLang);
 
-    if (result.transfer) {
-      if (!AGENT_NUMBER) {
-        twiml.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent("Transfer is not configured right now. Please try again later.")}`);
-        twiml.hangup();
-        return res.type("text/xml").send(twiml.toString());
-      }
-      twiml.dial(AGENT_NUMBER);
+    if (result.transfer || result.hangup) {
+      await endWithTransfer(twiml, sttLang, result);
       return res.type("text/xml").send(twiml.toString());
     }
 
     const gather = gatherBlock(twiml, callSid, "/handle-followup");
-    if (mode === "education") {
-      gather.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent("Anything else you would like to know?")}`);
-    } else {
-      const shortPrompt = sttLang === "hi-IN" ? "क्या मैं आपकी और मदद करूँ?" : "Anything else?";
-      gather.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent(shortPrompt)}`);
-    }
+    const followUp = mode.followUp(callSid, { first: false });
+    if (followUp) await speak(gather, followUp, sttLang);
 
     return res.type("text/xml").send(twiml.toString());
   } catch (e) {
     console.error("/handle-followup error callSid=", callSid, e);
     const sttLang = getSttLang(callSid);
-    twiml.play(`${BASE_URL}/tts?lang=${encodeURIComponent(sttLang)}&text=${encodeURIComponent("Sorry, technical issue. Please try again.")}`);
+    await speak(twiml, message(sttLang, "call.technicalIssue"), sttLang);
     twiml.hangup();
     return res.type("text/xml").send(twiml.toString());
   }
 });
 
+// Registered modes, the number -> mode map and the fallback MODE
+app.get("/modes", requireRole("admin"), (req, res) => {
+  return res.json({ default: MODE, modes: listModes(), plugins: modePlugins, numbers: numberModes() });
+});
+
+// Blocked numbers and IPs, plus the rate limits in force
+app.get("/blocklist", requireRole("admin"), (req, res) => {
+  return res.json(listBlocked());
+});
+
+// Body: { number } or { ip }, with an optional reason
+app.post("/blocklist", requireRole("admin"), express.json(), (req, res) => {
+  try {
+    return res.json({ ok: true, entry: addBlocked(req.body || {}) });
+  } catch (e) {
+    return sendAdminError(res, e, "Blocklist add");
+  }
+});
+
+// ?number= or ?ip=
+app.delete("/blocklist", requireRole("admin"), (req, res) => {
+  try {
+    return res.json({ ok: true, ...removeBlocked({ number: req.query.number, ip: req.query.ip }) });
+  } catch (e) {
+    return sendAdminError(res, e, "Blocklist remove");
+  }
+});
+
+// =========================================================
+// Staff accounts and audit log (admin)
+// =========================================================
+app.get("/users", requireRole("admin"), (req, res) => {
+  const users = listUsers();
+  return res.json({ roles: ROLES, count: users.length, users });
+});
+
+// Body: { username, name, role, password }
+app.post("/users", requireRole("admin"), express.json(), (req, res) => {
+  try {
+    const user = createUser(req.body || {});
+    audit(req, "user-add", { target: `${user.username} (${user.role})` });
+    return res.json({ ok: true, user });
+  } catch (e) {
+    return sendAdminError(res, e, "User create");
+  }
+});
+
+// Body: any of { name, role, active, password }; a new password or deactivation signs the user out
+app.put("/users/:username", requireRole("admin"), express.json(), (req, res) => {
+  try {
+    const patch = req.body || {};
+    const user = updateUser(req.params.username, patch);
+    if (patch.password !== undefined || user.active === false) endSessionsFor(user.username);
+    const changed = Object.keys(patch).filter((k) => ["name", "role", "active", "password"].includes(k));
+    audit(req, "user-update", { target: `${user.username}: ${changed.join(", ")}` });
+    return res.json({ ok: true, user });
+  } catch (e) {
+    return sendAdminError(res, e, "User update");
+  }
+});
+
+app.delete("/users/:username", requireRole("admin"), (req, res) => {
+  try {
+    const out = removeUser(req.params.username);
+    endSessionsFor(out.username);
+    audit(req, "user-remove", { target: out.username });
+    return res.json({ ok: true, ...out });
+  } catch (e) {
+    return sendAdminError(res, e, "User remove");
+  }
+});
+
+// Filters: user, callSid, action, limit (default 200); newest first
+app.get("/audit", requireRole("admin"), (req, res) => {
+  try {
+    const q = req.query;
+    const entries = listAccess({
+      user: q.user ? String(q.user) : undefined,
+      callSid: q.callSid ? String(q.callSid) : undefined,
+      action: q.action ? String(q.action) : undefined,
+      limit: q.limit ? Number(q.limit) : undefined,
+    });
+    return res.json({ count: entries.length, entries });
+  } catch (e) {
+    return sendAdminError(res, e, "Audit log");
+  }
+});
+
+// =========================================================
+// Hospital directory (edits admin, reads supervisor)
+// =========================================================
+function sendAdminError(res, e, what) {
+  if (!e?.status) console.error(`${what} failed:`, e);
+  return res.status(e?.status || 500).json({ ok: false, error: e?.message || `${what} failed` });
+}
+
+app.get("/hospital/departments", requireRole("supervisor"), (req, res) => {
+  const departments = listDepartments({ includeInactive: true });
+  res.json({ count: departments.length, departments });
+});
+
+app.post("/hospital/departments", requireRole("admin"), express.json(), (req, res) => {
+  try {
+    return res.json({ ok: true, department: upsertDepartment(null, req.body || {}) });
+  } catch (e) {
+    return sendAdminError(res, e, "Department create");
+  }
+});
+
+app.put("/hospital/departments/:id", requireRole("admin"), express.json(), (req, res) => {
+  try {
+    const department = upsertDepartment(req.params.id, req.body || {});
+    if (!department) return res.status(404).json({ ok: false, error: "Department not found" });
+    return res.json({ ok: true, department });
+  } catch (e) {
+    return sendAdminError(res, e, "Department update");
+  }
+});
+
+// Deactivate (kept on file so old transcripts still make sense)
+app.delete("/hospital/departments/:id", requireRole("admin"), (req, res) => {
+  try {
+    const department = upsertDepartment(req.params.id, { active: false });
+    if (!department) return res.status(404).json({ ok: false, error: "Department not found" });
+    return res.json({ ok: true, department });
+  } catch (e) {
+    return sendAdminError(res, e, "Department deactivate");
+  }
+});
+
+app.get("/hospital/doctors", requireRole("supervisor"), (req, res) => {
+  const doctors = listDoctors({ includeInactive: true });
+  res.json({ count: doctors.length, doctors });
+});
+
+app.post("/hospital/doctors", requireRole("admin"), express.json(), (req, res) => {
+  try {
+    return res.json({ ok: true, doctor: upsertDoctor(null, req.body || {}) });
+  } catch (e) {
+    return sendAdminError(res, e, "Doctor create");
+  }
+});
+
+app.put("/hospital/doctors/:id", requireRole("admin"), express.json(), (req, res) => {
+  try {
+    const doctor = upsertDoctor(req.params.id, req.body || {});
+    if (!doctor) return res.status(404).json({ ok: false, error: "Doctor not found" });
+    return res.json({ ok: true, doctor });
+  } catch (e) {
+    return sendAdminError(res, e, "Doctor update");
+  }
+});
+
+app.delete("/hospital/doctors/:id", requireRole("admin"), (req, res) => {
+  try {
+    const doctor = upsertDoctor(req.params.id, { active: false });
+    if (!doctor) return res.status(404).json({ ok: false, error: "Doctor not found" });
+    return res.json({ ok: true, doctor });
+  } catch (e) {
+    return sendAdminError(res, e, "Doctor deactivate");
+  }
+});
+
+// Dated slots for the next SLOT_HORIZON_DAYS with free / held / booked status
+app.get("/hospital/doctors/:id/slots", requireRole("supervisor"), (req, res) => {
+  const doctor = getDoctor(req.params.id);
+  if (!doctor) return res.status(404).json({ ok: false, error: "Doctor not found" });
+  const status = req.query.status ? String(req.query.status) : null;
+  const slots = listSlots(doctor.id).filter((s) => !status || s.status === status);
+  return res.json({ doctorId: doctor.id, count: slots.length, slots });
+});
+
+// =========================================================
+// Appointments (supervisor)
+// =========================================================
+// Filters: doctorId, date (YYYY-MM-DD), status (booked | cancelled), phone, upcoming=1
+app.get("/hospital/appointments", requireRole("supervisor"), (req, res) => {
+  try {
+    const q = req.query;
+    const appointments = listAppointments({
+      doctorId: q.doctorId ? String(q.doctorId) : undefined,
+      date: q.date ? String(q.date) : undefined,
+      status: q.status ? String(q.status) : undefined,
+      phone: q.phone ? String(q.phone) : undefined,
+      upcoming: q.upcoming === "1" || q.upcoming === "true",
+    });
+    return res.json({ count: appointments.length, appointments });
+  } catch (e) {
+    return sendAdminError(res, e, "Appointment list");
+  }
+});
+
+app.get("/hospital/appointments/:id", requireRole("supervisor"), (req, res) => {
+  const appointment = getAppointment(req.params.id);
+  if (!appointment) return res.status(404).json({ ok: false, error: "Appointment not found" });
+  return res.json(appointment);
+});
+
+app.delete("/hospital/appointments/:id", requireRole("supervisor"), (req, res) => {
+  const appointment = cancelAppointment(req.params.id, { by: req.user.username });
+  if (!appointment) return res.status(404).json({ ok: false, error: "Appointment not found" });
+  return res.json({ ok: true, appointment });
+});
+
+// =========================================================
+// Safety escalations (supervisor)
+// =========================================================
+// Filters: tier (emergency | medical), callSid, limit (default 200); newest first
+app.get("/hospital/safety-escalations", requireRole("supervisor"), (req, res) => {
+  try {
+    const q = req.query;
+    const escalations = listEscalations({
+      tier: q.tier ? String(q.tier) : undefined,
+      callSid: q.callSid ? String(q.callSid) : undefined,
+      limit: q.limit ? Number(q.limit) : undefined,
+    });
+    return res.json({ count: escalations.length, escalations });
+  } catch (e) {
+    return sendAdminError(res, e, "Safety escalation list");
+  }
+});
+
+app.get("/hospital/directory", requireRole("admin"), (req, res) => {
+  res.type("html").send(`
+<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Doctor Directory</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial; padding:24px; background:#fafafa;}
+    #wrap{max-width:1100px; margin:0 auto;}
+    .card{background:#fff; border:1px solid #eee; border-radius:14px; padding:14px; margin-bottom:14px; box-shadow:0 1px 6px rgba(0,0,0,.05);}
+    table{width:100%; border-collapse:collapse; font-size:14px;}
+    td,th{text-align:left; padding:6px 8px; border-bottom:1px solid #f0f0f0; vertical-align:top;}
+    input{font:inherit; width:100%; box-sizing:border-box;}
+    .off{opacity:.5;}
+    button{cursor:pointer;}
+  </style>
+</head>
+<body>
+  <div id="wrap">
+    ${accountBar(req.user)}
+    <div class="card">
+      <h2 style="margin-top:0;">Departments</h2>
+      <p style="font-size:13px;color:#666;">Aliases are comma-separated words callers may say (English / Hindi).</p>
+      <table>
+        <thead><tr><th>Name</th><th>English aliases</th><th>Hindi aliases</th><th>Active</th><th></th></tr></thead>
+        <tbody id="depts"></tbody>
+      </table>
+    </div>
+    <div class="card">
+      <h2 style="margin-top:0;">Doctors</h2>
+      <p style="font-size:13px;color:#666;">Weekly hours like <code>mon-fri 10:00-13:00 17:00-19:00; sat 10:00-13:00</code>. Bookable slots are generated from these.</p>
+      <table>
+        <thead><tr><th>Name</th><th>Department</th><th>Location</th><th>Weekly hours</th><th>Slot (min)</th><th>Active</th><th></th></tr></thead>
+        <tbody id="docs"></tbody>
+      </table>
+    </div>
+  </div>
+
+<script>
+  const H = { 'Content-Type': 'application/json' };
+
+  function esc(s){
+    return String(s||'').replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
+  }
+  async function api(method, url, body){
+    const r = await fetch(url, { method, headers: H, body: body ? JSON.stringify(body) : undefined });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(data.error || r.statusText);
+    return data;
+  }
+  function val(row, name){ return row.querySelector('[name="'+name+'"]'); }
+
+  function deptRow(d){
+    return '<tr data-id="'+esc(d.id||'')+'" class="'+(d.active===false?'off':'')+'">' +
+      '<td><input name="name" value="'+esc(d.name)+'" /></td>' +
+      '<td><input name="en" value="'+esc((d.aliases?.en||[]).join(', '))+'" /></td>' +
+      '<td><input name="hi" value="'+esc((d.aliases?.hi||[]).join(', '))+'" /></td>' +
+      '<td><input name="active" type="checkbox" style="width:auto" '+(d.active===false?'':'checked')+' /></td>' +
+      '<td><button data-save="dept">'+(d.id?'Save':'Add')+'</button></td></tr>';
+  }
+  function hoursText(h){
+    return ['mon','tue','wed','thu','fri','sat','sun'].filter(k => (h||{})[k]?.length).map(k => k+' '+h[k].join(' ')).join('; ');
+  }
+  function docRow(d, depts){
+    const opts = depts.map(x => '<option'+(x.name===d.dept?' selected':'')+'>'+esc(x.name)+'</option>').join('');
+    return '<tr data-id="'+esc(d.id||'')+'" class="'+(d.active===false?'off':'')+'">' +
+      '<td><input name="name" value="'+esc(d.name)+'" /></td>' +
+      '<td><select name="dept">'+opts+'</select></td>' +
+      '<td><input name="location" value="'+esc(d.location||'Gurgaon')+'" /></td>' +
+      '<td><input name="hours" value="'+esc(hoursText(d.hours))+'" /></td>' +
+      '<td><input name="slotMinutes" type="number" min="5" max="120" style="width:70px" value="'+esc(d.slotMinutes||15)+'" /></td>' +
+      '<td><input name="active" type="checkbox" style="width:auto" '+(d.active===false?'':'checked')+' /></td>' +
+      '<td><button data-save="doc">'+(d.id?'Save':'Add')+'</button></td></tr>';
+  }
+
+  async function load(){
+    const { departments } = await api('GET', '/hospital/departments');
+    const { doctors } = await api('GET', '/hospital/doctors');
+    document.getElementById('depts').innerHTML = departments.map(deptRow).join('') + deptRow({ name: '' });
+    document.getElementById('docs').innerHTML = doctors.map(d => docRow(d, departments)).join('') + docRow({ name: '' }, departments);
+  }
+
+  document.addEventListener('click', async (e) => {
+    const kind = e.target.dataset.save;
+    if (!kind) return;
+    const row = e.target.closest('tr');
+    const id = row.dataset.id;
+    const body = kind === 'dept'
+      ? { name: val(row,'name').value, active: val(row,'active').checked, aliases: { en: val(row,'en').value, hi: val(row,'hi').value } }
+      : { name: val(row,'name').value, dept: val(row,'dept').value, location: val(row,'location').value, hours: val(row,'hours').value, slotMinutes: Number(val(row,'slotMinutes').value), active: val(row,'active').checked };
+    const base = kind === 'dept' ? '/hospital/departments' : '/hospital/doctors';
+    try {
+      await api(id ? 'PUT' : 'POST', id ? base + '/' + encodeURIComponent(id) : base, body);
+      await load();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  load().catch(err => alert(err.message));
+</script>
+</body>
+</html>
+  `);
+});
+
 // =========================================================
 // Transcript endpoints
 // =========================================================
-app.get("/calls", (req, res) => {
+app.get("/calls", requireRole("viewer"), (req, res) => {
   const sids = [...new Set([...recentCalls, ...Object.keys(persisted)])].slice(0, 20);
   const out = sids.map((sid) => {
     const meta = (persisted?.[sid]?.meta || callMetaStore.get(sid) || {});
@@ -982,13 +2001,15 @@ app.get("/calls", (req, res) => {
       liveUrl: `${BASE_URL}/live/${sid}`,
     };
   });
+  audit(req, "list-calls");
   res.json({ count: out.length, calls: out });
 });
 
-app.get("/transcript/:callSid", (req, res) => {
+app.get("/transcript/:callSid", requireRole("viewer"), (req, res) => {
   const { callSid } = req.params;
   const transcript = getTranscript(callSid);
   if (!transcript.length) return res.status(404).json({ error: "No transcript found", callSid });
+  audit(req, "view-transcript", { callSid });
   res.json({
     callSid,
     ...(persisted?.[callSid]?.meta || callMetaStore.get(callSid) || {}),
@@ -1000,16 +2021,18 @@ app.get("/transcript/:callSid", (req, res) => {
   });
 });
 
-app.get("/call-summary/:callSid", async (req, res) => {
+app.get("/call-summary/:callSid", requireRole("viewer"), async (req, res) => {
   const { callSid } = req.params;
   const transcript = getTranscript(callSid);
   if (!transcript.length) return res.status(404).json({ error: "No transcript found", callSid });
+  audit(req, "view-summary", { callSid });
 
   const text = transcript.map((x) => `${x.role.toUpperCase()}: ${x.content}`).join("\n");
 
-  const completion = await openai.chat.completions.create({
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  const summary = await complete({
+    task: "summary",
     temperature: 0.2,
+    data: { transcript },
     messages: [
       { role: "system", content: "Summarize this call in 5 bullet points with next steps." },
       { role: "user", content: text.slice(-6000) },
@@ -1023,11 +2046,22 @@ app.get("/call-summary/:callSid", async (req, res) => {
     transcriptUrl: `${BASE_URL}/transcript/${callSid}`,
     summaryUrl: `${BASE_URL}/call-summary/${callSid}`,
     liveUrl: `${BASE_URL}/live/${callSid}`,
-    summary: completion.choices?.[0]?.message?.content,
+    summary,
     transcript,
   });
 });
 
 // ---------- Start ----------
+// Without the token every webhook would be refused, so a caller would only hear an error
+if (signatureCheckEnabled() && !process.env.TWILIO_AUTH_TOKEN) {
+  console.error("TWILIO_AUTH_TOKEN is not set. Set it to verify Twilio webhooks, or TWILIO_VALIDATE_SIGNATURE=0 for local testing.");
+  process.exit(1);
+}
 const port = process.env.PORT || 3000;
-app.listen(port, () => console.log("Listening on", port, `MODE=${MODE}`));
+app.listen(port, () => {
+  const ai = providerInfo();
+  console.log("Listening on", port, `MODE=${MODE}`, `EMBEDDINGS=${ai.embedding}`, `LLM=${ai.llm}`);
+  if (!listUsers().length && !process.env.ADMIN_TOKEN) console.warn("No staff accounts: set ADMIN_USER and ADMIN_PASSWORD to create the first admin");
+  if (!signatureCheckEnabled()) console.warn("TWILIO_VALIDATE_SIGNATURE=0: voice webhooks accept unsigned requests");
+  prewarmTts().catch((e) => console.error("TTS pre-warm failed:", e?.message));
+});
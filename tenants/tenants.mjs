@@ -0,0 +1,54 @@
+import fs from "fs";
+import path from "path";
+
+// Institution profiles for education mode: name, contact details, prompt rules,
+// KB directory and greeting. Which one serves a call is decided by the dialled number.
+const TENANTS_PATH = process.env.TENANTS_PATH || path.join(process.cwd(), "tenants", "tenants.json");
+
+function digits(n) {
+  return String(n || "").replace(/\D/g, "");
+}
+
+function normalizeTenant(t) {
+  if (!t?.id) throw new Error(`Tenant without id in ${TENANTS_PATH}`);
+  return {
+    numbers: [],
+    promptRules: [],
+    contact: {},
+    ...t,
+    kbDir: t.kbDir || path.join("kb", "tenants", t.id),
+    greeting: t.greeting || `Hello! Welcome to the ${t.name || t.id} admissions assistant. How can I help you today?`,
+  };
+}
+
+// Read once per call to tenantFor/getTenant, so edits to tenants.json apply without a restart
+function loadConfig() {
+  const raw = JSON.parse(fs.readFileSync(TENANTS_PATH, "utf8"));
+  const tenants = (raw.tenants || []).map(normalizeTenant);
+  if (!tenants.length) throw new Error(`No tenants defined in ${TENANTS_PATH}`);
+  const defaultId = raw.default && tenants.some((t) => t.id === raw.default) ? raw.default : tenants[0].id;
+  return { defaultId, tenants };
+}
+
+export function listTenants() {
+  return loadConfig().tenants;
+}
+
+// Exact id, or null
+export function findTenant(id) {
+  return loadConfig().tenants.find((t) => t.id === id) || null;
+}
+
+// Unknown ids fall back to the default tenant
+export function getTenant(id) {
+  const { defaultId, tenants } = loadConfig();
+  return tenants.find((t) => t.id === id) || tenants.find((t) => t.id === defaultId);
+}
+
+// Match on the trailing 10 digits so "+91 70282 33777" and "07028233777" both hit
+export function tenantForNumber(to) {
+  const want = digits(to).slice(-10);
+  const { defaultId, tenants } = loadConfig();
+  const hit = want && tenants.find((t) => t.numbers.some((n) => digits(n).slice(-10) === want));
+  return hit || tenants.find((t) => t.id === defaultId);
+}
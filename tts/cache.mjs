@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Synthesized speech on disk, addressed by what was synthesized: the key is a hash of
+// text, language, voice and model, so the same line in the same voice is paid for once
+// and a voice or model change simply misses. Each entry is two files in TTS_CACHE_DIR:
+//
+//   <key>.mp3    the audio; its mtime is bumped on every hit (least recently used goes first)
+//   <key>.json   { key, text, lang, voice, model, bytes, createdAt }
+//
+// When the audio passes TTS_CACHE_MAX_MB, least recently used entries are removed.
+
+const CACHE_DIR = process.env.TTS_CACHE_DIR || path.join(process.cwd(), "tts", "cache");
+const MAX_BYTES = (Number(process.env.TTS_CACHE_MAX_MB) || 200) * 1024 * 1024;
+
+let index = null; // key -> { key, text, lang, voice, model, bytes, createdAt, lastUsedAt }
+const inFlight = new Map(); // key -> Promise<Buffer>, so concurrent misses synthesize once
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function audioPath(key) {
+  return path.join(CACHE_DIR, `${key}.mp3`);
+}
+
+function metaPath(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+// Built from the directory once; entries missing either file are dropped
+function load() {
+  if (index) return index;
+  index = new Map();
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  for (const f of fs.readdirSync(CACHE_DIR)) {
+    if (!f.endsWith(".json")) continue;
+    const key = path.basename(f, ".json");
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaPath(key), "utf8"));
+      const { size, mtimeMs } = fs.statSync(audioPath(key));
+      index.set(key, { ...meta, key, bytes: size, lastUsedAt: new Date(mtimeMs).toISOString() });
+    } catch (e) {
+      console.error(`TTS cache entry ${key} unreadable, removing:`, e?.message);
+      remove(key);
+    }
+  }
+  // TTS_CACHE_MAX_MB may have been lowered since the last run
+  evict();
+  return index;
+}
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function remove(key) {
+  for (const f of [audioPath(key), metaPath(key)]) {
+    try {
+      fs.unlinkSync(f);
+    } catch (e) {
+      if (e?.code !== "ENOENT") console.error("TTS cache delete failed:", e?.message);
+    }
+  }
+  index?.delete(key);
+}
+
+function totalBytes() {
+  let n = 0;
+  for (const e of load().values()) n += e.bytes;
+  return n;
+}
+
+function evict() {
+  let bytes = totalBytes();
+  if (bytes <= MAX_BYTES) return;
+  const oldest = [...load().values()].sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+  for (const e of oldest) {
+    if (bytes <= MAX_BYTES) break;
+    remove(e.key);
+    bytes -= e.bytes;
+  }
+}
+
+export function ttsKey({ text, lang, voice, model }) {
+  return crypto.createHash("sha256").update(JSON.stringify([text, lang, voice, model])).digest("hex");
+}
+
+// -> { key, audio, hit }. synthesize() is only called on a miss.
+export async function cachedAudio(params, synthesize) {
+  const key = ttsKey(params);
+  const entry = load().get(key);
+  if (entry) {
+    try {
+      const audio = fs.readFileSync(audioPath(key));
+      const now = new Date();
+      fs.utimesSync(audioPath(key), now, now);
+      entry.lastUsedAt = now.toISOString();
+      return { key, audio, hit: true };
+    } catch (e) {
+      console.error(`TTS cache read ${key} failed, synthesizing again:`, e?.message);
+      remove(key);
+    }
+  }
+
+  if (!inFlight.has(key)) {
+    const job = (async () => {
+      const audio = await synthesize();
+      const meta = { key, text: params.text, lang: params.lang, voice: params.voice, model: params.model, bytes: audio.length, createdAt: new Date().toISOString() };
+      try {
+        writeAtomic(audioPath(key), audio);
+        writeAtomic(metaPath(key), JSON.stringify(meta, null, 2));
+        load().set(key, { ...meta, lastUsedAt: meta.createdAt });
+        evict();
+      } catch (e) {
+        console.error("TTS cache write failed:", e?.message);
+      }
+      return audio;
+    })().finally(() => inFlight.delete(key));
+    inFlight.set(key, job);
+  }
+  return { key, audio: await inFlight.get(key), hit: false };
+}
+
+export function isCached(key) {
+  return load().has(key);
+}
+
+// Most recently used first. Filters: lang, q (text contains); limit defaults to 200.
+export function listCached({ lang, q, limit = 200 } = {}) {
+  const needle = String(q || "").toLowerCase();
+  const entries = [...load().values()]
+    .filter((e) => (!lang || e.lang === lang) && (!needle || e.text.toLowerCase().includes(needle)))
+    .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  return {
+    dir: CACHE_DIR,
+    maxBytes: MAX_BYTES,
+    bytes: totalBytes(),
+    count: load().size,
+    entries: entries.slice(0, Math.max(1, Number(limit) || 200)),
+  };
+}
+
+export function purgeCached(key) {
+  if (!load().has(key)) throw notFound(`No cached audio ${key}`);
+  remove(key);
+  return { removed: 1 };
+}
+
+// Everything, or only one language / voice
+export function purgeAllCached({ lang, voice } = {}) {
+  const keys = [...load().values()].filter((e) => (!lang || e.lang === lang) && (!voice || e.voice === voice)).map((e) => e.key);
+  keys.forEach(remove);
+  return { removed: keys.length };
+}
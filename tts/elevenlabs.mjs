@@ -0,0 +1,36 @@
+import axios from "axios";
+import { voiceFor } from "../locales/locales.mjs";
+
+// ElevenLabs text-to-speech. Voices come from the locale catalogs (see voiceFor).
+const MODEL = process.env.ELEVEN_MODEL_ID || "eleven_turbo_v2_5";
+
+export const name = "elevenlabs";
+export const model = MODEL;
+
+export function configured() {
+  return !!process.env.ELEVEN_API_KEY;
+}
+
+export function voice(lang) {
+  return voiceFor(lang);
+}
+
+export async function synthesize(text, lang, { timeoutMs }) {
+  const r = await axios({
+    method: "POST",
+    url: `https://api.elevenlabs.io/v1/text-to-speech/${voice(lang)}`,
+    headers: {
+      "xi-api-key": process.env.ELEVEN_API_KEY,
+      "Content-Type": "application/json",
+      Accept: "audio/mpeg",
+    },
+    data: {
+      text,
+      model_id: MODEL,
+      voice_settings: { stability: 0.5, similarity_boost: 0.75 },
+    },
+    responseType: "arraybuffer",
+    timeout: timeoutMs,
+  });
+  return Buffer.from(r.data);
+}
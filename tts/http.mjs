@@ -0,0 +1,36 @@
+import axios from "axios";
+
+// Any HTTP text-to-speech service that takes a JSON POST and answers with MP3:
+//
+//   TTS_HTTP_URL                 POST { text, lang, voice, model } -> audio/mpeg body
+//   TTS_HTTP_API_KEY             sent as "Authorization: Bearer <key>" (optional)
+//   TTS_HTTP_MODEL               passed through as "model" (optional)
+//   TTS_HTTP_VOICE_<CODE>        voice per language, e.g. TTS_HTTP_VOICE_TA; else TTS_HTTP_VOICE
+
+export const name = "http";
+export const model = process.env.TTS_HTTP_MODEL || "";
+
+export function configured() {
+  return !!process.env.TTS_HTTP_URL;
+}
+
+export function voice(lang) {
+  const code = String(lang || "").split("-")[0].toUpperCase();
+  return process.env[`TTS_HTTP_VOICE_${code}`] || process.env.TTS_HTTP_VOICE || "";
+}
+
+export async function synthesize(text, lang, { timeoutMs }) {
+  const headers = { "Content-Type": "application/json", Accept: "audio/mpeg" };
+  if (process.env.TTS_HTTP_API_KEY) headers.Authorization = `Bearer ${process.env.TTS_HTTP_API_KEY}`;
+  const r = await axios({
+    method: "POST",
+    url: process.env.TTS_HTTP_URL,
+    headers,
+    data: { text, lang, voice: voice(lang), model },
+    responseType: "arraybuffer",
+    timeout: timeoutMs,
+  });
+  const audio = Buffer.from(r.data);
+  if (!audio.length) throw new Error("empty audio");
+  return audio;
+}
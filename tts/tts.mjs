@@ -0,0 +1,176 @@
+import * as elevenlabsBackend from "./elevenlabs.mjs";
+import * as httpBackend from "./http.mjs";
+import { ttsKey, cachedAudio, isCached } from "./cache.mjs";
+
+// Single entry point for synthesized speech: the disk cache (cache.mjs) first, then
+// each provider in turn, each behind its own circuit breaker.
+//
+//   TTS_PROVIDERS            try order, e.g. "http,elevenlabs" (default: elevenlabs, http);
+//                            providers without their settings are skipped
+//   TTS_TIMEOUT_MS           a synthesis slower than this is a failure (default 5000)
+//   TTS_BREAKER_FAILURES     failures in a row that open a provider's circuit (default 3)
+//   TTS_BREAKER_COOLDOWN_MS  how long an open circuit is skipped (default 30000)
+//
+// A circuit is closed (in use), open (skipped) or, once the cooldown is over, half-open:
+// the next request is a trial that closes it again or reopens it.
+
+const BACKENDS = { elevenlabs: elevenlabsBackend, http: httpBackend };
+
+const TIMEOUT_MS = Number(process.env.TTS_TIMEOUT_MS) || 5000;
+const BREAKER_FAILURES = Number(process.env.TTS_BREAKER_FAILURES) || 3;
+const BREAKER_COOLDOWN_MS = Number(process.env.TTS_BREAKER_COOLDOWN_MS) || 30000;
+
+const health = new Map(); // provider name -> breaker state and counters
+
+function unavailable(message) {
+  const err = new Error(message);
+  err.status = 503;
+  return err;
+}
+
+function listed() {
+  const wanted = (process.env.TTS_PROVIDERS || Object.keys(BACKENDS).join(","))
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = wanted.filter((n) => !BACKENDS[n]);
+  if (unknown.length) throw new Error(`TTS_PROVIDERS lists unknown provider ${unknown.join(", ")} (${Object.keys(BACKENDS).join(", ")})`);
+  return wanted.map((n) => BACKENDS[n]);
+}
+
+function providers() {
+  return listed().filter((b) => b.configured());
+}
+
+// Throws at startup on a misspelled TTS_PROVIDERS
+listed();
+
+function stats(backend) {
+  if (!health.has(backend.name)) {
+    health.set(backend.name, {
+      state: "closed",
+      consecutiveFailures: 0,
+      successes: 0,
+      failures: 0,
+      avgMs: null,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+      openedAt: null,
+      trialRunning: false,
+    });
+  }
+  return health.get(backend.name);
+}
+
+function cooledDown(h) {
+  return h.state === "open" && Date.now() - Date.parse(h.openedAt) >= BREAKER_COOLDOWN_MS;
+}
+
+function usable(backend) {
+  const h = stats(backend);
+  return h.state === "closed" || cooledDown(h) || (h.state === "half-open" && !h.trialRunning);
+}
+
+// Like usable(), but a half-open circuit lets exactly one request through
+function admit(backend) {
+  const h = stats(backend);
+  if (cooledDown(h)) h.state = "half-open";
+  if (h.state === "closed") return true;
+  if (h.state === "half-open" && !h.trialRunning) {
+    h.trialRunning = true;
+    return true;
+  }
+  return false;
+}
+
+function succeeded(backend, ms) {
+  const h = stats(backend);
+  if (h.state !== "closed") console.log(`TTS provider ${backend.name} recovered, circuit closed`);
+  Object.assign(h, {
+    state: "closed",
+    consecutiveFailures: 0,
+    successes: h.successes + 1,
+    avgMs: h.avgMs === null ? ms : Math.round(h.avgMs * 0.8 + ms * 0.2),
+    lastSuccessAt: new Date().toISOString(),
+    openedAt: null,
+    trialRunning: false,
+  });
+}
+
+function failed(backend, e) {
+  const h = stats(backend);
+  h.failures++;
+  h.consecutiveFailures++;
+  h.lastError = e?.code === "ECONNABORTED" ? `timed out after ${TIMEOUT_MS}ms` : e?.message || String(e);
+  h.lastFailureAt = new Date().toISOString();
+  h.trialRunning = false;
+  if (h.state === "half-open" || h.consecutiveFailures >= BREAKER_FAILURES) {
+    if (h.state !== "open") console.warn(`TTS provider ${backend.name} circuit open after: ${h.lastError}`);
+    h.state = "open";
+    h.openedAt = h.lastFailureAt;
+  }
+}
+
+async function synthesizeWith(backend, text, lang) {
+  const started = Date.now();
+  try {
+    const audio = await backend.synthesize(text, lang, { timeoutMs: TIMEOUT_MS });
+    succeeded(backend, Date.now() - started);
+    return audio;
+  } catch (e) {
+    failed(backend, e);
+    throw e;
+  }
+}
+
+// Cache identity of a line from one provider; the model is prefixed with the provider
+// so two services never share audio
+function params(backend, text, lang) {
+  return { text, lang, voice: backend.voice(lang), model: `${backend.name}:${backend.model}` };
+}
+
+export function speechKeys(text, lang) {
+  return providers().map((b) => ttsKey(params(b, text, lang)));
+}
+
+export function hasSpeech(text, lang) {
+  return speechKeys(text, lang).some(isCached);
+}
+
+// True while some provider's circuit would take a request
+export function ttsAvailable() {
+  return providers().some(usable);
+}
+
+// -> { key, audio, hit, provider }. Cached audio from any provider wins; otherwise
+// providers are tried in order. Throws (status 503) when none can produce it.
+export async function speech(text, lang) {
+  const all = providers();
+  const cached = all.find((b) => isCached(ttsKey(params(b, text, lang))));
+  if (cached) {
+    return { ...(await cachedAudio(params(cached, text, lang), () => synthesizeWith(cached, text, lang))), provider: cached.name };
+  }
+
+  let lastError = null;
+  for (const backend of all) {
+    if (!admit(backend)) continue;
+    try {
+      const out = await cachedAudio(params(backend, text, lang), () => synthesizeWith(backend, text, lang));
+      return { ...out, provider: backend.name };
+    } catch {
+      lastError = `${backend.name}: ${stats(backend).lastError}`;
+      console.error(`TTS provider ${lastError}`);
+    }
+  }
+  if (!all.length) throw unavailable("No TTS provider is configured");
+  throw unavailable(lastError ? `All TTS providers failed (last ${lastError})` : "All TTS provider circuits are open");
+}
+
+export function ttsHealth() {
+  return listed().map((b) => {
+    const { trialRunning, ...h } = stats(b);
+    const retryAt = h.state === "open" ? new Date(Date.parse(h.openedAt) + BREAKER_COOLDOWN_MS).toISOString() : null;
+    return { provider: b.name, configured: b.configured(), model: b.model, ...h, retryAt };
+  });
+}